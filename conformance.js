@@ -0,0 +1,5 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+module.exports = require('./lib/conformance/conformance');
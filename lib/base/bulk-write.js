@@ -0,0 +1,100 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const XError = require('xerror');
+
+/**
+ * Helpers for the default implementation of `Model#bulkWrite()` .
+ */
+
+const BULK_OP_TYPES = [ 'insert', 'update', 'upsert', 'remove' ];
+
+/**
+ * Returns the type of a bulk write operation.
+ *
+ * @method getBulkOpType
+ * @throws {XError} - With code `INVALID_ARGUMENT` if the operation is invalid
+ * @param {Object} op - Operation, like `{ update: { query, update } }`
+ * @return {String} - One of 'insert', 'update', 'upsert' or 'remove'
+ */
+function getBulkOpType(op) {
+	let types = _.isPlainObject(op) ? BULK_OP_TYPES.filter((type) => op[type]) : [];
+	if (types.length !== 1) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Bulk write operations must contain one of ' +
+			BULK_OP_TYPES.join(', '), { op });
+	}
+	let type = types[0];
+	if (type !== 'insert' && !op[type].query) {
+		throw new XError(XError.INVALID_ARGUMENT, `Bulk ${type} operations must contain a query`, { op });
+	}
+	if ((type === 'update' || type === 'upsert') && !op[type].update) {
+		throw new XError(XError.INVALID_ARGUMENT, `Bulk ${type} operations must contain an update`, { op });
+	}
+	return type;
+}
+
+/**
+ * Groups bulk write operations into batches that are each executed with one method call.
+ * Consecutive inserts are grouped into a batch for `insertMulti()`, and other operations
+ * are each in their own batch.
+ *
+ * @method groupBulkOps
+ * @param {Object[]} ops - Bulk write operations
+ * @return {Object[]} - Batches, containing `type` and `indexes`, the indexes of the batch's operations
+ */
+function groupBulkOps(ops) {
+	let batches = [];
+	ops.forEach((op, idx) => {
+		let type = getBulkOpType(op);
+		let lastBatch = batches[batches.length - 1];
+		if (type === 'insert' && lastBatch && lastBatch.type === 'insert') {
+			lastBatch.indexes.push(idx);
+		} else {
+			batches.push({ type, indexes: [ idx ] });
+		}
+	});
+	return batches;
+}
+
+/**
+ * Creates the value `bulkWrite()` resolves with from the per-operation results.
+ *
+ * @method summarizeBulkResults
+ * @param {Object[]} results - Per-operation results
+ * @return {Object}
+ */
+function summarizeBulkResults(results) {
+	let summary = {
+		results,
+		insertedCount: 0,
+		updatedCount: 0,
+		upsertedCount: 0,
+		removedCount: 0,
+		errorCount: 0,
+		skippedCount: 0
+	};
+	for (let opResult of results) {
+		if (opResult.skipped) {
+			summary.skippedCount++;
+		} else if (!opResult.success) {
+			summary.errorCount++;
+		} else if (opResult.type === 'insert') {
+			summary.insertedCount++;
+		} else if (opResult.type === 'upsert') {
+			summary.upsertedCount++;
+		} else if (_.isNumber(opResult.result)) {
+			// update() and remove() resolve with the number of documents affected
+			if (opResult.type === 'update') summary.updatedCount += opResult.result;
+			if (opResult.type === 'remove') summary.removedCount += opResult.result;
+		}
+	}
+	return summary;
+}
+
+module.exports = {
+	getBulkOpType,
+	groupBulkOps,
+	summarizeBulkResults
+};
@@ -0,0 +1,110 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const Readable = require('zstreams').Readable;
+const DocumentStream = require('./document-stream');
+const inherits = require('inheritz');
+
+/**
+ * A readable object stream of change events, as returned by `Model#watch()`.  The model pushes
+ * change events into every open ChangeStream, and the stream filters them by query and type.
+ *
+ * Each change event is an object containing:
+ * - `type` - One of 'insert', 'update' or 'remove'
+ * - `keys` - A map from the model's key fields to their values in the changed document
+ * - `data` - The data of the new document, or of the removed document for 'remove' events
+ *
+ * Changes cannot be paused at their source, so if the consumer falls behind and `maxBufferedChanges`
+ * events are buffered, further changes are dropped.  The stream emits an 'overflow' event when it
+ * starts dropping changes, and once the consumer catches up, it pushes an event with the type
+ * 'overflow' and `numDropped`, the number of changes dropped.  Consumers that need every change,
+ * such as caches, should treat this event as a change to any document.
+ *
+ * The stream does not end on its own.  Call `close()` to stop receiving events.
+ *
+ * @class ChangeStream
+ * @constructor
+ * @param {Model} model - The model being watched
+ * @param {Query} [query] - Only changes to documents matching this query are emitted
+ * @param {Object} [options]
+ *   @param {String[]} options.types - Only emit these types of change events
+ *   @param {Number} [options.maxBufferedChanges=1000] - Maximum number of change events to buffer
+ */
+class ChangeStream extends Readable {
+
+	constructor(model, query, options = {}) {
+		super({ objectMode: true, highWaterMark: options.maxBufferedChanges || 1000 });
+		this._changeStream = {
+			model, // The model being watched
+			query, // Query the changed documents must match
+			types: options.types || null, // Change event types to emit
+			full: false, // Set when the buffer is full, until the consumer reads more events
+			numDropped: 0, // Number of changes dropped since the buffer filled
+			closed: false // Set once close() is called
+		};
+		this.on('close', () => this._changeStream.model._removeChangeStream(this));
+	}
+
+	_read() {
+		// Change events are pushed as they occur, so this only reports dropped changes
+		let state = this._changeStream;
+		state.full = false;
+		this._pushOverflow();
+	}
+
+	/**
+	 * Emits a change event if it passes the stream's filters.  If the buffer is full, the change
+	 * is dropped instead.
+	 *
+	 * @method _pushChange
+	 * @protected
+	 * @param {Object} change - Change event
+	 */
+	_pushChange(change) {
+		let state = this._changeStream;
+		if (state.closed) return;
+		if (state.types && state.types.indexOf(change.type) === -1) return;
+		if (state.query && !state.query.matches(change.data)) return;
+		if (state.full) {
+			if (!state.numDropped) this.emit('overflow');
+			state.numDropped++;
+			return;
+		}
+		state.full = !this.push(change);
+	}
+
+	/**
+	 * Pushes an 'overflow' event if any changes were dropped.
+	 *
+	 * @method _pushOverflow
+	 * @private
+	 */
+	_pushOverflow() {
+		let state = this._changeStream;
+		if (!state.numDropped) return;
+		let numDropped = state.numDropped;
+		state.numDropped = 0;
+		state.full = !this.push({ type: 'overflow', numDropped });
+	}
+
+	/**
+	 * Stops watching the model and ends the stream.
+	 *
+	 * @method close
+	 * @since v2.1.0
+	 */
+	close() {
+		let state = this._changeStream;
+		if (state.closed) return;
+		state.closed = true;
+		state.model._removeChangeStream(this);
+		this._pushOverflow();
+		this.push(null);
+	}
+
+}
+
+inherits(ChangeStream, DocumentStream);
+
+module.exports = ChangeStream;
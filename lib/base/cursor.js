@@ -0,0 +1,132 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const XError = require('xerror');
+const objtools = require('objtools');
+const { parseSort } = require('../utils/sort');
+
+/**
+ * Helpers for keyset (cursor) pagination.  A cursor is an opaque string that encodes the sort
+ * spec of a query, and the values of the sort fields in the last document of a result page.
+ * The next page is fetched by adding range conditions on these fields to the query.
+ */
+
+/**
+ * Returns the sort spec used for cursor pagination.  This is the requested sort, followed by
+ * any key fields not already in the sort, so that every document has a unique position.
+ *
+ * @method getCursorSort
+ * @param {String[]} [sort] - The `sort` option given to `find()`
+ * @param {String[]} keys - The model's key fields
+ * @return {String[]}
+ */
+function getCursorSort(sort = [], keys = []) {
+	if (!keys.length) {
+		throw new XError(XError.UNSUPPORTED_OPERATION, 'Cursor pagination requires a model with key fields');
+	}
+	let sortFields = parseSort(sort).map((sortEntry) => sortEntry.field);
+	return sort.concat(keys.filter((key) => sortFields.indexOf(key) === -1));
+}
+
+// Dates are not preserved by JSON, so they are tagged in the encoded cursor
+function encodeValue(value) {
+	if (value instanceof Date) return { $date: value.toISOString() };
+	if (value === undefined) return null;
+	return value;
+}
+
+function decodeValue(value) {
+	if (value && value.$date) return new Date(value.$date);
+	return value;
+}
+
+/**
+ * Creates a cursor string for the position immediately after the given document data.
+ *
+ * @method createCursor
+ * @param {Object} data - Document data
+ * @param {String[]} cursorSort - Sort spec as returned by `getCursorSort()`
+ * @return {String}
+ */
+function createCursor(data, cursorSort) {
+	let values = parseSort(cursorSort).map(({ field }) => encodeValue(objtools.getPath(data, field)));
+	let json = JSON.stringify({ s: cursorSort, v: values });
+	return Buffer.from(json, 'utf8').toString('base64');
+}
+
+/**
+ * Decodes a cursor string.
+ *
+ * @method parseCursor
+ * @throws {XError} - With code `INVALID_ARGUMENT` if the cursor is invalid or was created with
+ *   a different sort than the one given
+ * @param {String} cursor
+ * @param {String[]} cursorSort - Sort spec as returned by `getCursorSort()`
+ * @return {Array} - Values of each field in the sort spec
+ */
+function parseCursor(cursor, cursorSort) {
+	let parsed;
+	try {
+		parsed = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+	} catch (ex) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Invalid cursor', ex);
+	}
+	if (!parsed || !Array.isArray(parsed.v) || !Array.isArray(parsed.s)) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Invalid cursor');
+	}
+	if (!_.isEqual(parsed.s, cursorSort)) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Cursor was created with a different sort order');
+	}
+	return parsed.v.map(decodeValue);
+}
+
+/**
+ * Creates a query that matches only documents positioned after the cursor values in the sort order.
+ * Missing and null values are treated as sorting before all other values.
+ *
+ * @method createCursorQuery
+ * @param {Object} queryData - The original query
+ * @param {String[]} cursorSort - Sort spec as returned by `getCursorSort()`
+ * @param {Array} values - Cursor values, as returned by `parseCursor()`
+ * @return {Object} - The new query
+ */
+function createCursorQuery(queryData, cursorSort, values) {
+	let sortSpec = parseSort(cursorSort);
+	let branches = [];
+	sortSpec.forEach(({ field, direction }, idx) => {
+		let value = values[idx];
+		let branch = {};
+		for (let prevIdx = 0; prevIdx < idx; prevIdx++) {
+			let prevValue = values[prevIdx];
+			branch[sortSpec[prevIdx].field] = (prevValue === undefined) ? null : prevValue;
+		}
+		if (value === null || value === undefined) {
+			// Missing values sort last in descending order, so nothing comes after them
+			if (direction < 0) return;
+			branch[field] = { $exists: true, $ne: null };
+		} else if (direction < 0) {
+			// Missing values sort last in descending order
+			branch.$or = [ { [field]: { $lt: value } }, { [field]: null } ];
+		} else {
+			branch[field] = { $gt: value };
+		}
+		branches.push(branch);
+	});
+
+	let cursorQuery = { $or: branches };
+	if (!branches.length) {
+		// The cursor is at the end of the sort order
+		cursorQuery = { $nor: [ {} ] };
+	}
+	if (_.isEmpty(queryData)) return cursorQuery;
+	return { $and: [ queryData, cursorQuery ] };
+}
+
+module.exports = {
+	getCursorSort,
+	createCursor,
+	parseCursor,
+	createCursorQuery
+};
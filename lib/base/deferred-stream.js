@@ -0,0 +1,43 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const PassThrough = require('zstreams').PassThrough;
+const DocumentStream = require('./document-stream');
+const inherits = require('inheritz');
+const pasync = require('pasync');
+
+/**
+ * An object stream that is returned synchronously, but passes through the data of a stream
+ * that is created asynchronously.  This allows methods returning streams to perform asynchronous
+ * work, such as triggering hooks, before creating the actual stream.
+ *
+ * @class DeferredStream
+ * @constructor
+ * @param {Promise} streamPromise - Promise resolving with the source stream
+ */
+class DeferredStream extends PassThrough {
+
+	constructor(streamPromise) {
+		super({ objectMode: true });
+		this._deferredStream = {
+			streamPromise // Resolves with the source stream
+		};
+		streamPromise
+			.then((stream) => {
+				stream.pipe(this);
+			}, (err) => {
+				this.emit('error', err);
+			})
+			.catch(pasync.abort);
+	}
+
+	getTotal() {
+		return this._deferredStream.streamPromise.then((stream) => stream.getTotal());
+	}
+
+}
+
+inherits(DeferredStream, DocumentStream);
+
+module.exports = DeferredStream;
@@ -3,6 +3,9 @@
 // http://www.apache.org/licenses/LICENSE-2.0
 
 const XError = require('xerror');
+const objtools = require('objtools');
+const { Update } = require('common-query');
+const { selectFields } = require('../utils/fields');
 
 /**
  * This class is the superclass of all unimodel document objects.
@@ -13,12 +16,16 @@ const XError = require('xerror');
  * @constructor
  * @param {Model} model - The instantiated model that created this Document
  * @param {Object} data - The initial data to fill this document with
+ * @param {Object} [options]
+ *   @param {Boolean} options.skipResetChanges - If set, the data is not snapshotted for change tracking.
+ *     Subclasses that modify the data in their constructor set this, and call `resetChanges()` themselves.
  */
 class Document {
 
-	constructor(model, data) {
+	constructor(model, data, options = {}) {
 		this.model = model;
 		this.data = data;
+		if (!options.skipResetChanges) this.resetChanges();
 	}
 
 	/**
@@ -43,6 +50,112 @@ class Document {
 		return this.model;
 	}
 
+	/**
+	 * Returns a copy of the document's data, optionally with only some fields.
+	 *
+	 * @method toObject
+	 * @since v2.1.0
+	 * @param {Object} [options] - Serialization options.  Subclasses may support additional options.
+	 *   @param {String[]} options.include - If given, only these fields are included
+	 *   @param {String[]} options.exclude - Fields to leave out
+	 * @return {Object}
+	 */
+	toObject(options = {}) {
+		return this._serialize(options, false);
+	}
+
+	/**
+	 * Returns a copy of the document's data suitable for conversion to JSON.  This is called by
+	 * `JSON.stringify()` .
+	 *
+	 * @method toJSON
+	 * @since v2.1.0
+	 * @param {Object} [options] - See `toObject()`
+	 * @return {Object}
+	 */
+	toJSON(options) {
+		// JSON.stringify() passes the property name as the argument
+		if (!options || typeof options !== 'object') options = {};
+		return this._serialize(options, true);
+	}
+
+	/**
+	 * Implementation of `toObject()` and `toJSON()` .
+	 *
+	 * @method _serialize
+	 * @protected
+	 * @param {Object} options - Serialization options
+	 * @param {Boolean} json - True if the result is converted to JSON
+	 * @return {Object}
+	 */
+	_serialize(options/*, json*/) {
+		return selectFields(objtools.deepCopy(this.getData()), options);
+	}
+
+	/**
+	 * Returns an update expression that would transform the data this document was loaded with
+	 * (or the data at the last call to `resetChanges()`) into its current data.  Model implementations
+	 * can use this to save only the changed fields.
+	 *
+	 * @method getChanges
+	 * @since v2.1.0
+	 * @return {Object} - A common-query update expression using `$set` and `$unset` .  This is an
+	 *   empty object if the document is unmodified.
+	 */
+	getChanges() {
+		return Update.createFromDiff(this._originalData || {}, this.data || {});
+	}
+
+	/**
+	 * Returns the list of fields that have been modified since the document was loaded or
+	 * `resetChanges()` was called.
+	 *
+	 * @method getModifiedPaths
+	 * @since v2.1.0
+	 * @return {String[]} - Array of dot-separated field paths, as used in `getChanges()`
+	 */
+	getModifiedPaths() {
+		let changes = this.getChanges();
+		let paths = [];
+		for (let operator in changes) {
+			for (let path in changes[operator]) {
+				if (paths.indexOf(path) === -1) paths.push(path);
+			}
+		}
+		return paths;
+	}
+
+	/**
+	 * Checks whether the document, or a field in it, has been modified since the document was
+	 * loaded or `resetChanges()` was called.
+	 *
+	 * @method isModified
+	 * @since v2.1.0
+	 * @param {String} [path] - Dot-separated field path.  If not given, checks whether any field is modified.
+	 *   A field counts as modified if any of its subfields or parent fields are modified.
+	 * @return {Boolean}
+	 */
+	isModified(path) {
+		let modifiedPaths = this.getModifiedPaths();
+		if (path === undefined) return modifiedPaths.length > 0;
+		return modifiedPaths.some((modifiedPath) => {
+			return modifiedPath === path ||
+				modifiedPath.indexOf(path + '.') === 0 ||
+				path.indexOf(modifiedPath + '.') === 0;
+		});
+	}
+
+	/**
+	 * Takes a new snapshot of the document data, such that the document is no longer considered
+	 * modified.  Model implementations should call this after saving a document.
+	 *
+	 * @method resetChanges
+	 * @since v2.1.0
+	 */
+	resetChanges() {
+		this._originalData = objtools.deepCopy(this.data);
+	}
+
 	/**
 	 * Saves the current model data to the datastore.
 	 * This also calls the `pre-save` and `post-save` hooks.
@@ -0,0 +1,67 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const Readable = require('zstreams').Readable;
+const pasync = require('pasync');
+
+/**
+ * A readable object stream of aggregate result entries that is backed by a single call to
+ * `model.aggregate()`.  This is used as the default implementation of `Model#aggregateStream()`.
+ *
+ * For grouped aggregates, each result entry is emitted separately.  For non-grouped aggregates,
+ * the single result object is emitted as the only entry.
+ *
+ * @class FakeAggregateStream
+ * @constructor
+ * @param {Model} model - The model to run the aggregate on
+ * @param {Object} query - Filter to restrict aggregates to
+ * @param {Object} aggregate - Aggregate spec
+ * @param {Object} [aggregateOptions] - Options to pass to `aggregate()`
+ */
+class FakeAggregateStream extends Readable {
+
+	constructor(model, query, aggregate, aggregateOptions) {
+		super({ objectMode: true });
+		this._fakeAggregateStream = {
+			model, // The model referenced by this stream
+			query, // Filter for the aggregate
+			aggregate, // Aggregate spec to execute
+			aggregateOptions, // Options to supply to the aggregate
+			resultArray: null, // Once we get aggregate results, the array of result entries
+			resultPos: 0, // The position of the next result entry to return
+			waitingForAggregate: false // True while the aggregate is running but results haven't returned
+		};
+	}
+
+	_read() {
+		let state = this._fakeAggregateStream;
+		if (state.resultArray) {
+			while (state.resultPos < state.resultArray.length) {
+				if (!this.push(state.resultArray[state.resultPos++])) {
+					break;
+				}
+			}
+			if (state.resultPos >= state.resultArray.length) {
+				this.push(null);
+			}
+		} else if (!state.waitingForAggregate) {
+			state.waitingForAggregate = true;
+			try {
+				state.model.aggregate(state.query, state.aggregate, state.aggregateOptions)
+					.then((results) => {
+						state.resultArray = Array.isArray(results) ? results : [ results ];
+						this._read();
+					}, (err) => {
+						this.emit('error', err);
+					})
+					.catch(pasync.abort);
+			} catch (ex) {
+				this.emit('error', ex);
+			}
+		}
+	}
+
+}
+
+module.exports = FakeAggregateStream;
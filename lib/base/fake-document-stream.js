@@ -2,41 +2,73 @@
 // Licensed under the Apache License, Version 2.0
 // http://www.apache.org/licenses/LICENSE-2.0
 
+const _ = require('lodash');
 const Readable = require('zstreams').Readable;
 const DocumentStream = require('./document-stream');
 const inherits = require('inheritz');
 const pasync = require('pasync');
 
+/**
+ * A DocumentStream that streams the results of `model.find()` .  By default, all results are fetched
+ * with a single call to `find()` .  If a batch size is given, results are fetched in batches of that
+ * size as the stream is read.  Batches are paged with cursors if the model has keys, and otherwise
+ * with `skip` and `limit` .  Paging with `skip` misses documents if the documents matching the query
+ * change while the stream is read, so streams whose documents are updated or removed as they are read
+ * fetch all results at once if the model has no keys.
+ *
+ * @class FakeDocumentStream
+ * @constructor
+ * @param {Model} model
+ * @param {Object} query - Query to pass to `find()`
+ * @param {Object} [findOptions] - Options to pass to `find()`
+ * @param {Object} [streamOptions]
+ *   @param {Number} streamOptions.batchSize - If set, the maximum number of documents to fetch at once
+ *   @param {Boolean} streamOptions.writeBack - Set if the documents read are updated or removed
+ */
 class FakeDocumentStream extends Readable {
 
-	constructor(model, query, findOptions) {
+	constructor(model, query, findOptions = {}, streamOptions = {}) {
 		super({ objectMode: true });
 		this._fakeDocStream = {
 			model, // The model referenced by this stream
 			query, // Query to execute to get documents
 			findOptions, // Options to supply to the query
-			resultArray: null, // Once we get query results, the array of results
+			batchSize: streamOptions.batchSize || null, // Number of documents to fetch with each query
+			writeBack: !!streamOptions.writeBack, // Whether the documents read are updated or removed
+			useCursor: null, // In batch mode, whether to page with cursors rather than skip
+			resultArray: null, // Once we get query results, the array of results of the current batch
 			resultPos: 0, // The position of the next result to return
+			numFetched: 0, // Number of documents fetched in previous batches
+			cursor: null, // Cursor for fetching the next batch
+			total: undefined, // The total number of results, if fetched with the first batch
+			done: false, // True once the last batch has been fetched
 			waitingForQuery: false // True while the query is running but results haven't returned
 		};
 	}
 
 	_read() {
-		if (this._fakeDocStream.resultArray) {
-			while (this._fakeDocStream.resultPos < this._fakeDocStream.resultArray.length) {
-				if (!this.push(this._fakeDocStream.resultArray[this._fakeDocStream.resultPos++])) {
-					break;
+		// Stop pulling results once the stream is destroyed, such as when the query is aborted
+		if (this.destroyed) return;
+		let state = this._fakeDocStream;
+		if (state.resultArray) {
+			while (state.resultPos < state.resultArray.length) {
+				if (!this.push(state.resultArray[state.resultPos++])) {
+					return;
 				}
 			}
-			if (this._fakeDocStream.resultPos >= this._fakeDocStream.resultArray.length) {
+			if (state.done) {
 				this.push(null);
+				return;
 			}
-		} else if (!this._fakeDocStream.waitingForQuery) {
-			this._fakeDocStream.waitingForQuery = true;
+		}
+		if (!state.waitingForQuery) {
+			state.waitingForQuery = true;
 			try {
-				this._fakeDocStream.model.find(this._fakeDocStream.query, this._fakeDocStream.findOptions)
+				this._fetch()
 					.then((results) => {
-						this._fakeDocStream.resultArray = results;
+						state.waitingForQuery = false;
+						state.resultArray = results;
+						state.resultPos = 0;
 						this._read();
 					}, (err) => {
 						this.emit('error', err);
@@ -48,9 +80,74 @@ class FakeDocumentStream extends Readable {
 		}
 	}
 
+	/**
+	 * Fetches the next batch of results, or all results if not in batch mode.
+	 *
+	 * @method _fetch
+	 * @private
+	 * @return {Promise} - Resolves with an array of documents
+	 */
+	_fetch() {
+		let state = this._fakeDocStream;
+		if (state.useCursor === null && state.batchSize) state.useCursor = this._hasKeys();
+		if (!state.batchSize || (state.writeBack && !state.useCursor)) {
+			state.done = true;
+			return state.model.find(state.query, state.findOptions)
+				.then((results) => {
+					state.total = results.total;
+					return results;
+				});
+		}
+
+		let limit = state.batchSize;
+		if (state.findOptions.limit) limit = Math.min(limit, state.findOptions.limit - state.numFetched);
+		let isFirstBatch = (state.numFetched === 0);
+		let options = _.assign({}, state.findOptions, { limit });
+		if (state.useCursor) {
+			options.cursor = true;
+			if (!isFirstBatch) {
+				// Later batches continue after the last document instead of skipping
+				options.after = state.cursor;
+				delete options.skip;
+			}
+		} else {
+			options.skip = (state.findOptions.skip || 0) + state.numFetched;
+		}
+		// The total only needs to be fetched once
+		if (!isFirstBatch) delete options.total;
+		return state.model.find(state.query, options)
+			.then((results) => {
+				if (isFirstBatch) state.total = results.total;
+				state.numFetched += results.length;
+				state.cursor = results.cursor;
+				if (
+					results.length < limit ||
+					(state.findOptions.limit && state.numFetched >= state.findOptions.limit)
+				) {
+					state.done = true;
+				}
+				return results;
+			});
+	}
+
+	/**
+	 * Returns true if the model has key fields to page with.
+	 *
+	 * @method _hasKeys
+	 * @private
+	 * @return {Boolean}
+	 */
+	_hasKeys() {
+		try {
+			return this._fakeDocStream.model.getKeys().length > 0;
+		} catch (ex) {
+			return false;
+		}
+	}
+
 	getTotal() {
-		if (this._fakeDocStream.resultArray && this._fakeDocStream.resultArray.total !== undefined) {
-			return Promise.resolve(this._fakeDocStream.resultArray.total);
+		if (this._fakeDocStream.total !== undefined) {
+			return Promise.resolve(this._fakeDocStream.total);
 		} else {
 			return this._fakeDocStream.model.count(this._fakeDocStream.query, this._fakeDocStream.findOptions);
 		}
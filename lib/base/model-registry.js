@@ -0,0 +1,121 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const XError = require('xerror');
+const Model = require('./model');
+
+/**
+ * A collection of models, indexed by the names returned by their `getName()` methods.  This allows
+ * models to be resolved from strings, such as in references between models or in generic API layers.
+ *
+ * Registries are iterable, and iterate over the registered models in the order they were registered.
+ *
+ * @class ModelRegistry
+ * @constructor
+ */
+class ModelRegistry {
+
+	constructor() {
+		// Map from model names to models
+		this._models = new Map();
+	}
+
+	/**
+	 * Adds a model to the registry under its name.
+	 *
+	 * @method register
+	 * @since v2.1.0
+	 * @throws {XError} - With code `INVALID_ARGUMENT` if the value is not a model, or `ALREADY_EXISTS`
+	 *   if a different model is already registered with the same name
+	 * @param {Model} model
+	 * @return {Model} - The registered model
+	 */
+	register(model) {
+		if (!Model.isModel(model)) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Only models can be registered');
+		}
+		let name = model.getName();
+		let existingModel = this._models.get(name);
+		if (existingModel && existingModel !== model) {
+			throw new XError(XError.ALREADY_EXISTS, `A model named ${name} is already registered`, { name });
+		}
+		this._models.set(name, model);
+		return model;
+	}
+
+	/**
+	 * Removes a model from the registry.
+	 *
+	 * @method unregister
+	 * @since v2.1.0
+	 * @param {Model|String} model - The model, or its name
+	 * @return {Boolean} - True if the model was registered
+	 */
+	unregister(model) {
+		let name = (typeof model === 'string') ? model : model.getName();
+		if (typeof model !== 'string' && this._models.get(name) !== model) return false;
+		return this._models.delete(name);
+	}
+
+	/**
+	 * Returns the model registered with the given name.
+	 *
+	 * @method get
+	 * @since v2.1.0
+	 * @throws {XError} - With code `NOT_FOUND` if no model is registered with the name
+	 * @param {String} name
+	 * @return {Model}
+	 */
+	get(name) {
+		let model = this._models.get(name);
+		if (!model) {
+			throw new XError(XError.NOT_FOUND, `No model named ${name} is registered`, { name });
+		}
+		return model;
+	}
+
+	/**
+	 * Returns true if a model is registered with the given name.
+	 *
+	 * @method has
+	 * @since v2.1.0
+	 * @param {String} name
+	 * @return {Boolean}
+	 */
+	has(name) {
+		return this._models.has(name);
+	}
+
+	/**
+	 * Returns the names of all registered models.
+	 *
+	 * @method getNames
+	 * @since v2.1.0
+	 * @return {String[]}
+	 */
+	getNames() {
+		return Array.from(this._models.keys());
+	}
+
+	/**
+	 * Returns all registered models.
+	 *
+	 * @method getModels
+	 * @since v2.1.0
+	 * @param {String} [type] - If given, only models whose `getType()` returns this type are returned
+	 * @return {Model[]}
+	 */
+	getModels(type) {
+		let models = Array.from(this._models.values());
+		if (type === undefined) return models;
+		return models.filter((model) => model.getType() === type);
+	}
+
+	[Symbol.iterator]() {
+		return this._models.values();
+	}
+
+}
+
+module.exports = ModelRegistry;
@@ -9,6 +9,77 @@ const { CrispPrePostHooks } = require('crisphooks');
 const { createQuery, createUpdate } = require('common-query');
 const objtools = require('objtools');
 const FakeDocumentStream = require('./fake-document-stream');
+const FakeAggregateStream = require('./fake-aggregate-stream');
+const ChangeStream = require('./change-stream');
+const DeferredStream = require('./deferred-stream');
+const { getCursorSort, createCursor, parseCursor, createCursorQuery } = require('./cursor');
+const { parseSort } = require('../utils/sort');
+const { getBulkOpType, groupBulkOps, summarizeBulkResults } = require('./bulk-write');
+const { normalizePlugin, sortPlugins } = require('./plugins');
+const CountingStream = require('../instrumentation/counting-stream');
+const { checkAborted, abortable, abortableStream } = require('../utils/abort');
+
+// Query operators supported by common-query
+const COMMON_QUERY_OPERATORS = [
+	'$and', '$or', '$nor', '$exists', '$not', '$elemMatch', '$in', '$nin', '$all', '$size', '$text',
+	'$wildcard', '$regex', '$gt', '$gte', '$lt', '$lte', '$ne', '$near', '$geoIntersects'
+];
+
+// For each operation, the operations that its default implementation can be emulated with
+const EMULATED_OPERATIONS = {
+	find: [ 'findStream' ],
+	findStream: [ 'find' ],
+	findOne: [ 'find', 'findStream' ],
+	count: [ 'find', 'findStream' ],
+	aggregate: [ 'aggregateMulti', 'aggregateStream' ],
+	aggregateMulti: [ 'aggregate', 'aggregateStream' ],
+	aggregateStream: [ 'aggregate', 'aggregateMulti' ],
+	insert: [ 'insertMulti' ],
+	insertMulti: [ 'insert' ],
+	update: [ 'find', 'findStream' ],
+	remove: [ 'find', 'findStream' ],
+	upsert: [ 'find', 'findStream' ],
+	bulkWrite: [ 'insertMulti', 'update', 'upsert', 'remove' ],
+	watch: []
+};
+
+// Operations that trigger operation hooks.  `hook` is the kind of operation, which names the
+// pre-<hook>-operation and post-<hook>-operation hooks, and `args` are the names of the operation's
+// arguments in the hook context.  Operations with `always` set trigger hooks even when using the
+// default implementation; the default implementations of the other operations delegate to an
+// operation of the same kind, which triggers the hooks.
+const HOOKED_OPERATIONS = {
+	find: { hook: 'find', args: [ 'query', 'options' ] },
+	findStream: { hook: 'find', args: [ 'query', 'options' ], isStream: true },
+	findOne: { hook: 'find', args: [ 'query', 'options' ] },
+	count: { hook: 'find', args: [ 'query', 'options' ] },
+	aggregate: { hook: 'aggregate', args: [ 'query', 'aggregate', 'options' ] },
+	aggregateMulti: { hook: 'aggregate', args: [ 'query', 'aggregates', 'options' ] },
+	aggregateStream: { hook: 'aggregate', args: [ 'query', 'aggregate', 'options' ], isStream: true },
+	insert: { hook: 'insert', args: [ 'data', 'options' ] },
+	insertMulti: { hook: 'insert', args: [ 'datas', 'options' ] },
+	update: { hook: 'update', args: [ 'query', 'update', 'options' ], always: true },
+	upsert: { hook: 'upsert', args: [ 'query', 'update', 'options' ], always: true },
+	remove: { hook: 'remove', args: [ 'query', 'options' ], always: true },
+	// The default implementation triggers the hooks of each operation
+	bulkWrite: { hook: 'bulk-write', args: [ 'ops', 'options' ] }
+};
+
+// Operations that accept a `signal` option to abort them, mapped to the index of their options argument
+const ABORTABLE_OPERATIONS = {
+	find: 1,
+	findStream: 1,
+	count: 1,
+	aggregate: 2,
+	update: 2,
+	remove: 1,
+	insertMulti: 1
+};
+
+// Operations that are timed and reported to metrics sinks
+const INSTRUMENTED_OPERATIONS = [
+	'find', 'findStream', 'count', 'aggregateMulti', 'insertMulti', 'update', 'upsert', 'remove'
+];
 
 /**
  * This is the parent class for unimodel models.  A model is the class that contains
@@ -30,12 +101,289 @@ const FakeDocumentStream = require('./fake-document-stream');
  * @constructor
  * @param {Object} [options] - Options modifying behavior of the model.  These are defined
  *   by the model implementor.
+ *   @param {Object[]} options.metricsSinks - Sinks to add with `addMetricsSink()`
+ *   @param {Number} options.findStreamBatchSize - Number of documents the default `findStream()` fetches
+ *     with each call to `find()`
  */
 class Model extends CrispPrePostHooks {
 
 	constructor(options = {}) {
 		super();
 		this.modelOptions = options;
+		// Set of open ChangeStreams returned by watch()
+		this._changeStreams = new Set();
+		// Map from names of installed plugins to objects containing the plugin and its options
+		this._plugins = new Map();
+		// Sinks that operation events are reported to
+		this._metricsSinks = [];
+		(options.metricsSinks || []).forEach((sink) => this.addMetricsSink(sink));
+
+		// Let subclasses wrap their implementations inside the standard wrappers
+		this._wrapImplementations();
+
+		// Report inserts made by the subclass implementations of insert() and insertMulti()
+		this._wrapInsertChanges();
+
+		// Trigger operation hooks around the subclass implementations of each operation
+		for (let method in HOOKED_OPERATIONS) {
+			this._wrapOperationHooks(method, HOOKED_OPERATIONS[method]);
+		}
+
+		// Stop waiting for operations when their signal is aborted
+		for (let method in ABORTABLE_OPERATIONS) {
+			this._wrapAbortSignal(method, ABORTABLE_OPERATIONS[method]);
+		}
+
+		// Time operations, including their hooks, if there are metrics sinks
+		for (let method of INSTRUMENTED_OPERATIONS) {
+			this._wrapInstrumentation(method);
+		}
+
+		// Handle cursor pagination options around the subclass implementations of find() and findStream()
+		this._wrapMethod('find', (find) => function(query, options = {}) {
+			if (!options.cursor && !options.after) return find.call(this, query, options);
+			let cursorArgs = this._applyCursor(query, options);
+			return find.call(this, cursorArgs.query, cursorArgs.options)
+				.then((results) => {
+					let lastResult = results[results.length - 1];
+					results.cursor = lastResult ? this.getCursor(lastResult, options) : null;
+					// Remove the fields that were only selected to create the cursor
+					for (let result of results) {
+						let data = _.isFunction(result.getData) ? result.getData() : result;
+						for (let field of cursorArgs.addedFields) objtools.deletePath(data, field);
+					}
+					return results;
+				});
+		});
+		this._wrapMethod('findStream', (findStream) => function(query, options = {}) {
+			if (!options.cursor && !options.after) return findStream.call(this, query, options);
+			let cursorArgs = this._applyCursor(query, options);
+			return findStream.call(this, cursorArgs.query, cursorArgs.options);
+		});
+	}
+
+	/**
+	 * Replaces a method on this instance with a wrapper around the existing implementation.  This
+	 * allows the base class to handle standard options regardless of how subclasses implement methods.
+	 *
+	 * @method _wrapMethod
+	 * @protected
+	 * @param {String} name - Name of the method to wrap
+	 * @param {Function} createWrapper - Function that takes the existing method and returns the wrapper.
+	 *   The wrapper is called with `this` set to the model.
+	 */
+	_wrapMethod(name, createWrapper) {
+		let method = this[name];
+		let wrapper = createWrapper(method);
+		wrapper.wrappedMethod = method.wrappedMethod || method;
+		this[name] = wrapper;
+	}
+
+	/**
+	 * Called by the constructor before operations are wrapped with operation hooks, abort signal
+	 * handling and instrumentation.  Subclasses can override this to wrap their implementations of
+	 * operations with `_wrapMethod()`, so the standard wrappers apply around their wrappers.
+	 *
+	 * @method _wrapImplementations
+	 * @protected
+	 */
+	_wrapImplementations() {}
+
+	/**
+	 * Wraps the subclass implementations of `insert()` and `insertMulti()` so that they report the
+	 * documents they insert to streams returned by `watch()` .  The default implementations delegate
+	 * to the subclass implementations, so each insert is reported once.
+	 *
+	 * @method _wrapInsertChanges
+	 * @private
+	 */
+	_wrapInsertChanges() {
+		if (this._isImplemented('insert')) {
+			this._wrapMethod('insert', (insert) => function(data, options = {}) {
+				return Promise.resolve(insert.call(this, data, options))
+					.then((result) => {
+						this._emitInsertChange(data, result);
+						return result;
+					});
+			});
+		}
+		if (this._isImplemented('insertMulti')) {
+			this._wrapMethod('insertMulti', (insertMulti) => function(datas, options = {}) {
+				return Promise.resolve(insertMulti.call(this, datas, options))
+					.then((results) => {
+						datas.forEach((data, idx) => this._emitInsertChange(data, (results || [])[idx]));
+						return results;
+					});
+			});
+		}
+	}
+
+	/**
+	 * Wraps an operation so that it triggers the operation's pre- and post- hooks.  Hooks are called
+	 * with a context object containing `method` (the name of the method called), the arguments of the
+	 * operation by name, and, in post- hooks, `result` .  Pre- hooks can modify the arguments in the
+	 * context, and post- hooks can modify or replace the result.
+	 *
+	 * @method _wrapOperationHooks
+	 * @private
+	 * @param {String} method - Name of the method to wrap
+	 * @param {Object} operation - Entry from HOOKED_OPERATIONS
+	 */
+	_wrapOperationHooks(method, operation) {
+		if (!operation.always && !this._isImplemented(method)) return;
+		// The -operation suffix keeps these apart from document hooks such as pre-remove
+		let preHook = `pre-${operation.hook}-operation`;
+		let postHook = `post-${operation.hook}-operation`;
+		this._wrapMethod(method, (fn) => function(...args) {
+			if (!this._hasHooks(preHook, postHook)) return fn.apply(this, args);
+
+			let context = { method };
+			operation.args.forEach((arg, idx) => {
+				context[arg] = args[idx];
+			});
+			if (!context.options) context.options = {};
+			let promise = this.trigger(preHook, context)
+				.then(() => fn.apply(this, operation.args.map((arg) => context[arg])))
+				.then((result) => {
+					context.result = result;
+					return this.trigger(postHook, context);
+				})
+				.then(() => context.result);
+			// Streams must be returned synchronously, so hooks run before the stream's data is passed through
+			return operation.isStream ? new DeferredStream(promise) : promise;
+		});
+	}
+
+	/**
+	 * Wraps an operation so that, if its options contain an aborted `signal`, it rejects with an
+	 * `aborted` XError, or its stream is destroyed with one.
+	 *
+	 * @method _wrapAbortSignal
+	 * @private
+	 * @param {String} method - Name of the method to wrap
+	 * @param {Number} optionsIndex - Index of the method's options argument
+	 */
+	_wrapAbortSignal(method, optionsIndex) {
+		this._wrapMethod(method, (fn) => function(...args) {
+			let signal = args[optionsIndex] && args[optionsIndex].signal;
+			if (!signal) return fn.apply(this, args);
+			if (method === 'findStream') return abortableStream(fn.apply(this, args), signal);
+			return Promise.resolve()
+				.then(() => {
+					checkAborted(signal);
+					return abortable(Promise.resolve(fn.apply(this, args)), signal);
+				});
+		});
+	}
+
+	/**
+	 * Wraps an operation so that it reports an event to the metrics sinks.
+	 *
+	 * @method _wrapInstrumentation
+	 * @private
+	 * @param {String} method - Name of the method to wrap
+	 */
+	_wrapInstrumentation(method) {
+		this._wrapMethod(method, (fn) => function(...args) {
+			if (!this._metricsSinks.length) return fn.apply(this, args);
+
+			let operation = this._startOperationEvent(method, args);
+			let result;
+			try {
+				result = fn.apply(this, args);
+			} catch (ex) {
+				operation.end(ex);
+				throw ex;
+			}
+			if (method === 'findStream') {
+				return new CountingStream(result, (err, count) => operation.end(err, count));
+			}
+			return Promise.resolve(result)
+				.then((value) => {
+					let count;
+					if (_.isArray(value)) {
+						count = value.length;
+					} else if (_.isNumber(value) && method !== 'upsert') {
+						// count(), update() and remove() resolve with numbers of documents
+						count = value;
+					} else if (method === 'insertMulti') {
+						count = args[0].length;
+					}
+					operation.end(null, count);
+					return value;
+				}, (err) => {
+					operation.end(err);
+					throw err;
+				});
+		});
+	}
+
+	/**
+	 * Reports the start of an operation to the metrics sinks that create spans.
+	 *
+	 * @method _startOperationEvent
+	 * @private
+	 * @param {String} method - Name of the method called
+	 * @param {Array} args - Arguments the method was called with
+	 * @return {Object} - An object with an `end(err, count)` method, which reports the completed operation
+	 */
+	_startOperationEvent(method, args) {
+		let startTime = Date.now();
+		let event = { operation: method };
+		try {
+			event.model = this.getName();
+		} catch (ex) {
+			event.model = null;
+		}
+		event.modelType = this.getType();
+		if (method !== 'insertMulti' && args[0]) {
+			event.query = _.isFunction(args[0].getData) ? args[0].getData() : args[0];
+		}
+		let sinks = this._metricsSinks.slice();
+		let spans = sinks
+			.filter((sink) => _.isFunction(sink.startSpan))
+			.map((sink) => sink.startSpan(_.clone(event)));
+		return {
+			end: (err, count) => {
+				let endEvent = _.assign({}, event, {
+					outcome: err ? 'error' : 'success',
+					errorCode: err ? (err.code || XError.INTERNAL_ERROR) : null,
+					count,
+					startTime,
+					duration: Date.now() - startTime
+				});
+				spans.forEach((span) => span.end(endEvent));
+				sinks.forEach((sink) => {
+					if (_.isFunction(sink.record)) sink.record(endEvent);
+				});
+			}
+		};
+	}
+
+	/**
+	 * Returns true if any handlers are registered for any of the given hooks.
+	 *
+	 * @method _hasHooks
+	 * @private
+	 * @param {String} ...names - Hook names
+	 * @return {Boolean}
+	 */
+	_hasHooks(...names) {
+		return names.some((name) => this._hooks[name] && this._hooks[name].hooks.length > 0);
+	}
+
+	/**
+	 * Returns true if a subclass implements the given method, rather than relying on the default
+	 * implementation in Model.
+	 *
+	 * @method _isImplemented
+	 * @protected
+	 * @param {String} name - Method name
+	 * @return {Boolean}
+	 */
+	_isImplemented(name) {
+		let method = this[name];
+		return (method.wrappedMethod || method) !== Model.prototype[name];
 	}
 
 	/**
@@ -106,6 +454,236 @@ class Model extends CrispPrePostHooks {
 		return this.constructor.name;
 	}
 
+	/**
+	 * Installs a plugin, or a list of plugins, on this model.  A plugin is either a function, which is
+	 * called with the model and plugin options, or an object containing:
+	 * - `name` - Name of the plugin.  Each plugin can only be installed once.
+	 * - `dependencies` - Names of plugins that must be installed before this one
+	 * - `after` - Names of plugins that this one is installed after, if they are installed in the same call
+	 * - `fields` - Fields to add to the schema, for `SchemaModel`s
+	 * - `methods` - Map from names to functions that are added as methods of the model
+	 * - `documentMethods` - Map from names to functions that are added as methods of documents
+	 * - `hooks` - Map from hook names to handlers, or arrays of handlers, to register
+	 * - `priority` - crisphooks priority for the plugin's hooks
+	 * - `install` - Function that is called with the model and plugin options after the rest is installed
+	 *
+	 * @method use
+	 * @since v2.1.0
+	 * @throws {XError} - With code `ALREADY_EXISTS` if the plugin is already installed or a method
+	 *   already exists, or `INVALID_ARGUMENT` if a dependency is missing
+	 * @param {Object|Function|Array} plugin - The plugin, or an array of plugins or `[ plugin, options ]`
+	 *   pairs.  Plugins in an array are installed after their dependencies in the array.
+	 * @param {Object} [options] - Options for the plugin
+	 * @return {Model} - this
+	 */
+	use(plugin, options = {}) {
+		let entries;
+		if (_.isArray(plugin)) {
+			entries = plugin.map((entry) => {
+				if (_.isArray(entry)) return { plugin: normalizePlugin(entry[0]), options: entry[1] || {} };
+				return { plugin: normalizePlugin(entry), options: {} };
+			});
+		} else {
+			entries = [ { plugin: normalizePlugin(plugin), options } ];
+		}
+		for (let entry of sortPlugins(entries)) {
+			this._installPlugin(entry.plugin, entry.options);
+		}
+		return this;
+	}
+
+	/**
+	 * Returns true if a plugin with the given name is installed.
+	 *
+	 * @method hasPlugin
+	 * @since v2.1.0
+	 * @param {String} name
+	 * @return {Boolean}
+	 */
+	hasPlugin(name) {
+		return this._plugins.has(name);
+	}
+
+	/**
+	 * Returns the names of installed plugins, in the order they were installed.
+	 *
+	 * @method getPlugins
+	 * @since v2.1.0
+	 * @return {String[]}
+	 */
+	getPlugins() {
+		return Array.from(this._plugins.keys());
+	}
+
+	/**
+	 * Installs a single normalized plugin.
+	 *
+	 * @method _installPlugin
+	 * @private
+	 * @param {Object} plugin - Plugin, as returned by `normalizePlugin()`
+	 * @param {Object} options - Plugin options
+	 */
+	_installPlugin(plugin, options) {
+		let name = plugin.name;
+		if (this._plugins.has(name)) {
+			throw new XError(XError.ALREADY_EXISTS, `Plugin ${name} is already installed`, { plugin: name });
+		}
+		for (let dependency of plugin.dependencies) {
+			if (!this._plugins.has(dependency)) {
+				let msg = `Plugin ${name} requires plugin ${dependency}`;
+				throw new XError(XError.INVALID_ARGUMENT, msg, { plugin: name, dependency });
+			}
+		}
+		for (let methodName in plugin.methods) {
+			if (methodName in this) {
+				let msg = `Plugin ${name} cannot add existing method ${methodName}`;
+				throw new XError(XError.ALREADY_EXISTS, msg, { plugin: name, method: methodName });
+			}
+		}
+		if (plugin.fields) {
+			if (!_.isFunction(this.extendSchema)) {
+				let msg = `Plugin ${name} adds schema fields, which this model does not support`;
+				throw new XError(XError.UNSUPPORTED_OPERATION, msg, { plugin: name });
+			}
+			this.extendSchema(plugin.fields);
+		}
+
+		_.assign(this, plugin.methods);
+		for (let hookName in plugin.hooks) {
+			for (let handler of _.castArray(plugin.hooks[hookName])) {
+				if (plugin.priority === undefined) {
+					this.hook(hookName, handler);
+				} else {
+					this.hook(hookName, plugin.priority, handler);
+				}
+			}
+		}
+		if (!_.isEmpty(plugin.documentMethods)) {
+			this.hook('post-init', (doc) => {
+				_.assign(doc, plugin.documentMethods);
+			});
+		}
+		if (plugin.install) plugin.install(this, options);
+		this._plugins.set(name, { plugin, options });
+	}
+
+	/**
+	 * Adds a sink that events for each `find()`, `findStream()`, `count()`, `aggregateMulti()`, `insertMulti()`,
+	 * `update()`, `upsert()` and `remove()` call are reported to.  Operations using the default implementations
+	 * also report events for the operations they call.
+	 *
+	 * Events contain:
+	 *   - `model` - The result of `getName()`
+	 *   - `modelType` - The result of `getType()`
+	 *   - `operation` - The name of the method called
+	 *   - `query` - The query, if the operation has one
+	 *   - `outcome` - 'success' or 'error'
+	 *   - `errorCode` - The XError code the operation failed with, or null
+	 *   - `count` - The number of documents found, counted, inserted, updated or removed, if known
+	 *   - `startTime` - Timestamp the operation started at
+	 *   - `duration` - Number of milliseconds the operation took.  For `findStream()`, this includes
+	 *     the time taken to read the stream.
+	 *
+	 * @method addMetricsSink
+	 * @since v2.1.0
+	 * @throws {XError} - With code `INVALID_ARGUMENT` if the sink is invalid
+	 * @param {Object} sink - Object with a `record(event)` method called when each operation completes,
+	 *   and/or a `startSpan(event)` method called when each operation starts, which returns an object with
+	 *   an `end(event)` method called when the operation completes.  The event passed to `startSpan()`
+	 *   does not contain the outcome.  Also see `MemoryMetricsCollector` and `TracerSink` .
+	 * @return {Model} - This model, for chaining
+	 */
+	addMetricsSink(sink) {
+		if (!sink || (!_.isFunction(sink.record) && !_.isFunction(sink.startSpan))) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Metrics sinks must have a record() or startSpan() method');
+		}
+		this._metricsSinks.push(sink);
+		return this;
+	}
+
+	/**
+	 * Removes a sink added with `addMetricsSink()` .
+	 *
+	 * @method removeMetricsSink
+	 * @since v2.1.0
+	 * @param {Object} sink
+	 * @return {Model} - This model, for chaining
+	 */
+	removeMetricsSink(sink) {
+		_.pull(this._metricsSinks, sink);
+		return this;
+	}
+
+	/**
+	 * Returns a description of what this model supports, so that callers can choose a strategy before
+	 * calling methods.  The defaults are computed from which methods are overridden by the model
+	 * implementation.  Model implementations should override this method to describe their capabilities
+	 * more precisely, usually by modifying the object returned by the superclass.
+	 *
+	 * @method getCapabilities
+	 * @since v2.1.0
+	 * @return {Object} - An object containing:
+	 *   - `operations` - A map from method names to 'native' if the model implements the method,
+	 *     'emulated' if the default implementation uses other methods the model implements, or 'unsupported'
+	 *   - `queryOperators` - Array of supported query operators
+	 *   - `aggregateTypes` - Array of supported aggregate types ('stats', 'total' and 'groupBy')
+	 *   - `findOptions` - A map from the options `skip`, `limit`, `total`, `sort`, `fields` and `cursor`
+	 *     to booleans indicating whether they are supported by `find()` and `findStream()`
+	 *   - `transactions` - An object containing `atomicDocumentWrites` (writes to a single document are
+	 *     applied entirely or not at all) and `atomicMultiDocumentWrites` (the same for operations writing
+	 *     multiple documents)
+	 */
+	getCapabilities() {
+		let operations = {};
+		for (let method of _.keys(EMULATED_OPERATIONS).concat([ 'create' ])) {
+			operations[method] = this._isImplemented(method) ? 'native' : 'unsupported';
+		}
+		// Changes made through the default write implementations can always be watched
+		if (operations.watch !== 'native') operations.watch = 'emulated';
+		// Repeat until no more operations can be emulated with supported operations
+		let changed = true;
+		while (changed) {
+			changed = false;
+			for (let method in EMULATED_OPERATIONS) {
+				if (operations[method] !== 'unsupported') continue;
+				if (EMULATED_OPERATIONS[method].some((other) => operations[other] !== 'unsupported')) {
+					operations[method] = 'emulated';
+					changed = true;
+				}
+			}
+		}
+		// Upserts also require inserts
+		if (operations.upsert === 'emulated' && operations.insert === 'unsupported') {
+			operations.upsert = 'unsupported';
+		}
+
+		let canFind = (operations.find !== 'unsupported');
+		let canAggregate = (operations.aggregate !== 'unsupported');
+		let hasKeys;
+		try {
+			hasKeys = this.getKeys().length > 0;
+		} catch (ex) {
+			hasKeys = false;
+		}
+		return {
+			operations,
+			queryOperators: canFind ? COMMON_QUERY_OPERATORS.slice() : [],
+			aggregateTypes: canAggregate ? [ 'stats', 'total', 'groupBy' ] : [],
+			findOptions: {
+				skip: canFind,
+				limit: canFind,
+				total: canFind,
+				sort: canFind,
+				fields: canFind,
+				cursor: canFind && hasKeys
+			},
+			transactions: {
+				atomicDocumentWrites: false,
+				atomicMultiDocumentWrites: false
+			}
+		};
+	}
+
 	/**
 	 * Executes a mongo-style query.
 	 *
@@ -119,21 +697,30 @@ class Model extends CrispPrePostHooks {
 	 *   @param {Boolean} options.total - If true, also return a field with total number of results
 	 *   @param {Array{String}} options.sort - An array of field names to sort by.  Each field can be
 	 *     prefixed by a '-' to sort in reverse.
+	 *   @param {Boolean} options.cursor - If true, use keyset pagination.  Results are additionally sorted
+	 *     by the model's keys, and the result array contains a `cursor` for fetching the next page.
+	 *   @param {String} options.after - A cursor returned from a previous page.  Only results after this
+	 *     cursor are returned.  Implies `cursor`.  The `sort` option must be the same as for the previous page.
+	 *   @param {AbortSignal} options.signal - If this signal is aborted, the operation rejects with an XError
+	 *     with the code `aborted`, and streams are destroyed with one.  This is also supported by `count()`,
+	 *     `aggregate()`, `update()`, `remove()` and `insertMulti()` .
 	 * @return {Promise} - Resolves with an array of result documents.  Rejects with an XError.
 	 *   If the option `total` was set to true, the array also contains an additional member called
-	 *   `total` containing the total number of results without skip or limit.
+	 *   `total` containing the total number of results without skip or limit.  If cursor pagination is
+	 *   used, the array contains a member called `cursor` which can be passed as the `after` option to
+	 *   get the next page.  It is null if the page is empty.
 	 */
 	find(query, options = {}) {
 		// As a default implementation, check if the streaming query is overridden, and if so,
 		// use it to find the documents.
-		if (this.findStream !== Model.prototype.findStream) {
+		if (this._isImplemented('findStream')) {
 			let stream = this.findStream(query, options);
 			return stream.intoArray().then((array) => {
 				// If a total was requested, fetch that from the DocumentStream's method
 				if (options.total) {
 					return stream.getTotal().then((total) => {
 						array.total = total;
-						return total;
+						return array;
 					});
 				} else {
 					return array;
@@ -151,14 +738,72 @@ class Model extends CrispPrePostHooks {
 	 * @since v0.0.1
 	 * @param {Object} query
 	 * @param {Object} [options] - See the options for `find()`
+	 *   @param {Number} options.batchSize - With the default implementation, the number of documents to fetch
+	 *     with each call to `find()` .  Defaults to the model's `findStreamBatchSize` option.  If neither is set,
+	 *     all documents are fetched at once.
+	 *   @param {Boolean} options.writeBack - Set if the caller updates or removes the documents it reads, so
+	 *     that documents may stop matching the query while the stream is read.  The default implementation
+	 *     then does not page with `skip`, which would miss documents.
 	 * @return {DocumentStream} - A readable object stream streaming document instances.
 	 *   The stream also contains a method called `getTotal()`,
 	 *   which returns a promise resolving to the total number of results.
 	 */
 	findStream(query, options = {}) {
 		// By default, instantate a fake document stream that uses find() to fetch a static
-		// array, and stream it as if it were an actual stream.
-		return new FakeDocumentStream(this, query, options);
+		// array, or batches of results, and stream it as if it were an actual stream.
+		let batchSize = options.batchSize || this.modelOptions.findStreamBatchSize;
+		return new FakeDocumentStream(this, query, _.omit(options, [ 'batchSize', 'writeBack' ]), {
+			batchSize,
+			writeBack: options.writeBack
+		});
+	}
+
+	/**
+	 * Returns the cursor that can be passed as the `after` option to `find()` or `findStream()`
+	 * to fetch results after the given document.  This can be used to continue paging after
+	 * the last document of a `findStream()` .
+	 *
+	 * @method getCursor
+	 * @since v2.1.0
+	 * @param {Document|Object} document - The document or document data
+	 * @param {Object} [options] - The options passed to `find()`.  Only `sort` is used.
+	 * @return {String} - An opaque cursor string
+	 */
+	getCursor(document, options = {}) {
+		let data = _.isFunction(document.getData) ? document.getData() : document;
+		return createCursor(data, getCursorSort(options.sort, this.getKeys()));
+	}
+
+	/**
+	 * Transforms query arguments for cursor pagination.  The sort is extended with the model's keys,
+	 * and if the `after` option is given, the query is restricted to documents after the cursor.
+	 *
+	 * @method _applyCursor
+	 * @private
+	 * @param {Object} query - The query passed to `find()`
+	 * @param {Object} options - The options passed to `find()`
+	 * @return {Object} - Object containing the transformed `query` and `options`, and `addedFields`, the
+	 *   cursor fields added to the `fields` option
+	 */
+	_applyCursor(query, options) {
+		let cursorSort = getCursorSort(options.sort, this.getKeys());
+		let queryData = (query && _.isFunction(query.getData)) ? query.getData() : query;
+		if (options.after) {
+			queryData = createCursorQuery(queryData, cursorSort, parseCursor(options.after, cursorSort));
+		}
+		let cursorOptions = _.omit(options, [ 'cursor', 'after' ]);
+		cursorOptions.sort = cursorSort;
+		let addedFields = [];
+		if (cursorOptions.fields) {
+			// The last document of each page must contain the cursor fields
+			addedFields = parseSort(cursorSort)
+				.map((entry) => entry.field)
+				.filter((field) => !cursorOptions.fields.some((selected) => {
+					return field === selected || _.startsWith(field, selected + '.');
+				}));
+			cursorOptions.fields = cursorOptions.fields.concat(addedFields);
+		}
+		return { query: queryData, options: cursorOptions, addedFields };
 	}
 
 	/**
@@ -221,12 +866,20 @@ class Model extends CrispPrePostHooks {
 	 *   @param {Number} options.limit - Maximum number of aggregate entries to return.
 	 *   @param {Array{String}} options.sort - Fields to sort the results by.  These are field paths that
 	 *     reference the aggregate result entries (ie, `foo.avg`).
+	 *   @param {AbortSignal} options.signal - Signal to abort the operation.  See `find()` .
 	 * @return {Promise} - Resolves with a map from aggregate names (as in the aggregates parameter)
 	 *   to aggregate result objects.
 	 */
 	aggregate(query, aggregate, options = {}) {
-		if (this.aggregateMulti !== Model.prototype.aggregateMulti) {
+		if (this._isImplemented('aggregateMulti')) {
 			return this.aggregateMulti(query, { aggregate }, options).then( (results) => results.aggregate );
+		} else if (this._isImplemented('aggregateStream')) {
+			// Drain the stream.  Grouped aggregates result in an array of entries, and other
+			// aggregates result in a single result object.
+			let aggregateData = _.isFunction(aggregate.getData) ? aggregate.getData() : aggregate;
+			return this.aggregateStream(query, aggregate, options).intoArray().then((entries) => {
+				return aggregateData.groupBy ? entries : entries[0];
+			});
 		} else {
 			throw new XError(XError.UNSUPPORTED_OPERATION, 'The aggregate() method is not implemented for this model');
 		}
@@ -246,7 +899,10 @@ class Model extends CrispPrePostHooks {
 	 *   to aggregate result objects.
 	 */
 	aggregateMulti(query, aggregates, options = {}) {
-		if (this.aggregate !== Model.prototype.aggregate) {
+		if (
+			this._isImplemented('aggregate') ||
+			this._isImplemented('aggregateStream')
+		) {
 			let resultsMap = {};
 			return pasync.eachSeries(_.keys(aggregates), (aggregateKey) => {
 				return this.aggregate(query, aggregates[aggregateKey], options).then( (results) => {
@@ -258,7 +914,31 @@ class Model extends CrispPrePostHooks {
 		}
 	}
 
-	// TODO: Add aggregateStream() method and corresponding default implementations
+	/**
+	 * Executes an aggregate and streams the result entries.  This is useful for grouped aggregates
+	 * that may return a large number of entries.
+	 *
+	 * @method aggregateStream
+	 * @since v2.1.0
+	 * @param {Object} query - Filter to restrict aggregates to
+	 * @param {Object} aggregate - An aggregate spec.  See the README for details.
+	 * @param {Object} [options] - See the options for `aggregate()`
+	 * @return {Readable} - A readable object stream of aggregate result entries.  For grouped aggregates,
+	 *   each entry is one group.  For non-grouped aggregates, the stream contains the single result object.
+	 */
+	aggregateStream(query, aggregate, options = {}) {
+		// By default, use aggregate() to fetch all results, and stream them as if they were
+		// an actual stream.
+		if (
+			this._isImplemented('aggregate') ||
+			this._isImplemented('aggregateMulti')
+		) {
+			return new FakeAggregateStream(this, query, aggregate, options);
+		} else {
+			let msg = 'The aggregateStream() method is not implemented for this model';
+			throw new XError(XError.UNSUPPORTED_OPERATION, msg);
+		}
+	}
 
 	/**
 	 * Creates a new instance of the Document this model represents.  The new document is not
@@ -279,12 +959,19 @@ class Model extends CrispPrePostHooks {
 	 * @method remove
 	 * @since v0.0.1
 	 * @param {Object} query - Query to match documents to remove.
-	 * @param {Object} [options] - Model-dependent options
+	 * @param {Object} [options] - Model-dependent options.  The default implementation passes these to
+	 *   `findStream()`, with `writeBack` set, and to the `remove()` method of each document.
+	 *   @param {AbortSignal} options.signal - Signal to abort the operation.  See `find()` .
 	 * @return {Promise} - Promise that resolves with the number of documents removed, or rejects with XError
 	 */
-	remove(query/*, options = {}*/) {
-		return this.findStream(query)
-			.each((doc) => doc.remove())
+	remove(query, options = {}) {
+		return this.findStream(query, _.assign({}, options, { writeBack: true }))
+			.each((doc) => {
+				// Documents may already be buffered when the stream is destroyed
+				checkAborted(options.signal);
+				return doc.remove(options)
+					.then(() => this._emitChange('remove', doc.getData()));
+			})
 			.intoPromise();
 	}
 
@@ -297,19 +984,25 @@ class Model extends CrispPrePostHooks {
 	 * @param {Object} update - The Mongo-style update expression used to update documents.
 	 *   By default, if this object contains no keys beginning with '$',
 	 *   the update expression is implicitly wrapped in a '$set'.
-	 * @param {Object} [options={}]
+	 * @param {Object} [options={}] - The default implementation also passes these to `findStream()`, with
+	 *   `writeBack` set.
 	 *   @param {Boolean} options.allowFullReplace - If this is set to true, update expressions
 	 *     that do not contain any operators are allowed, and result in complete replacement of
 	 *     any matching documents.
+	 *   @param {AbortSignal} options.signal - Signal to abort the operation.  See `find()` .
 	 * @return {Promise} - Resolves with the number of documents updated, or rejects with XError
 	 */
 	update(query, update, options = {}) {
 		if (_.isPlainObject(update)) update = createUpdate(update, options);
 
-		return this.findStream(query)
+		return this.findStream(query, _.assign({}, options, { writeBack: true }))
 			.each((doc) => {
+				checkAborted(options.signal);
 				update.apply(doc.data);
-				return doc.save();
+				// Skip saving documents that the update did not change
+				if (!doc.isModified()) return;
+				return doc.save()
+					.then(() => this._emitChange('update', doc.getData()));
 			})
 			.intoPromise();
 	}
@@ -368,7 +1061,7 @@ class Model extends CrispPrePostHooks {
 	 *     that are generated by the database).
 	 */
 	insert(data, options = {}) {
-		if (this.insertMulti === Model.prototype.insertMulti) {
+		if (!this._isImplemented('insertMulti')) {
 			let msg = 'The insert() method is not implemented for this model';
 			throw new XError(XError.UNSUPPORTED_OPERATION, msg);
 		}
@@ -386,15 +1079,183 @@ class Model extends CrispPrePostHooks {
 	 * @since v0.0.1
 	 * @param {Array{Object}} datas - The data to insert as the document.
 	 * @param {Object} [options] - Model-specific options.
+	 *   @param {AbortSignal} options.signal - Signal to abort the operation.  See `find()` .
 	 * @return {Promise} - Resolves with an array of result objects, as from
 	 *   `insert()`.
 	 */
 	insertMulti(datas, options = {}) {
-		if (this.insert === Model.prototype.insert) {
+		if (!this._isImplemented('insert')) {
 			let msg = 'The insertMulti() method is not implemented for this model';
 			throw new XError(XError.UNSUPPORTED_OPERATION, msg);
 		}
-		return pasync.each(datas, (data) => this.insert(data, options));
+		return pasync.mapSeries(datas, (data) => this.insert(data, options));
+	}
+
+	/**
+	 * Executes a list of write operations, and reports the result of each one.  By default, operations
+	 * are executed with `insertMulti()`, `update()`, `upsert()` and `remove()` .  Consecutive inserts are
+	 * executed together in one call to `insertMulti()`, so an error inserting any of them is reported as
+	 * an error for each of them.
+	 *
+	 * @method bulkWrite
+	 * @since v2.1.0
+	 * @param {Object[]} ops - Operations to execute.  Each operation is an object containing one of:
+	 *   - `insert` - Data to insert
+	 *   - `update` - An object containing `query`, `update` and optionally `options` to pass to `update()`
+	 *   - `upsert` - An object containing `query`, `update` and optionally `options` to pass to `upsert()`
+	 *   - `remove` - An object containing `query` and optionally `options` to pass to `remove()`
+	 * @param {Object} [options]
+	 *   @param {Boolean} [options.ordered=true] - If true, operations are executed in order, and
+	 *     operations after the first failed operation are skipped.  If false, all operations are executed,
+	 *     possibly concurrently.
+	 *   @param {Number} [options.concurrency=10] - Maximum number of operations to execute at once
+	 *     when not ordered
+	 *   @param {Object} options.insertOptions - Options to pass to `insertMulti()`
+	 * @return {Promise} - Resolves with an object containing:
+	 *   - `results` - An array of results for each operation, containing `type` (the type of operation),
+	 *     `success`, and `result` (the value the operation resolved with) or `error`.  Skipped operations
+	 *     contain `skipped: true` .
+	 *   - `insertedCount`, `upsertedCount` - The number of successful insert and upsert operations
+	 *   - `updatedCount`, `removedCount` - The number of documents updated and removed
+	 *   - `errorCount`, `skippedCount` - The number of failed and skipped operations
+	 *   Rejects with an XError with code `INVALID_ARGUMENT` if any operation is invalid.
+	 */
+	bulkWrite(ops, options = {}) {
+		let ordered = (options.ordered !== false);
+		let concurrency = ordered ? 1 : (options.concurrency || 10);
+		return Promise.resolve()
+			.then(() => {
+				let batches = groupBulkOps(ops);
+				let results = ops.map((op) => ({ type: getBulkOpType(op), success: false, skipped: true }));
+				let failed = false;
+				return pasync.eachLimit(batches, concurrency, (batch) => {
+					if (ordered && failed) return;
+					return Promise.resolve()
+						.then(() => this._executeBulkBatch(ops, batch, options))
+						.then((batchResults) => {
+							batch.indexes.forEach((opIdx, idx) => {
+								results[opIdx] = { type: batch.type, success: true, result: batchResults[idx] };
+							});
+						}, (error) => {
+							failed = true;
+							for (let opIdx of batch.indexes) {
+								results[opIdx] = { type: batch.type, success: false, error };
+							}
+						});
+				})
+					.then(() => summarizeBulkResults(results));
+			});
+	}
+
+	/**
+	 * Executes a batch of bulk write operations, as returned by `groupBulkOps()` .
+	 *
+	 * @method _executeBulkBatch
+	 * @private
+	 * @param {Object[]} ops - All bulk write operations
+	 * @param {Object} batch - The batch to execute
+	 * @param {Object} options - Options passed to `bulkWrite()`
+	 * @return {Promise} - Resolves with an array of results for the batch's operations
+	 */
+	_executeBulkBatch(ops, batch, options) {
+		if (batch.type === 'insert') {
+			let datas = batch.indexes.map((opIdx) => ops[opIdx].insert);
+			return this.insertMulti(datas, options.insertOptions || {})
+				.then((results) => datas.map((data, idx) => (results || [])[idx]));
+		}
+		let opSpec = ops[batch.indexes[0]][batch.type];
+		let promise;
+		if (batch.type === 'update') {
+			promise = this.update(opSpec.query, opSpec.update, opSpec.options || {});
+		} else if (batch.type === 'upsert') {
+			promise = this.upsert(opSpec.query, opSpec.update, opSpec.options || {});
+		} else {
+			promise = this.remove(opSpec.query, opSpec.options || {});
+		}
+		return promise.then((result) => [ result ]);
+	}
+
+	/**
+	 * Returns a stream of change events for documents in this model.  By default, only changes
+	 * made through this model instance are reported.  Inserts are reported by the model's own
+	 * implementation of `insert()` or `insertMulti()`, which the default `insert()`, `insertMulti()`
+	 * and `upsert()` delegate to, and the default `update()` and `remove()` report the documents they
+	 * save and remove.  Models that implement `update()` or `remove()` should report changes by
+	 * calling `_emitChange()`, and models with native change feeds can override this method.
+	 *
+	 * @method watch
+	 * @since v2.1.0
+	 * @param {Object} [query] - Only report changes to documents matching this query.  For
+	 *   removals, the query is matched against the removed document.
+	 * @param {Object} [options]
+	 *   @param {String[]} options.types - Only report these types of changes ('insert', 'update'
+	 *     and/or 'remove')
+	 *   @param {Number} [options.maxBufferedChanges=1000] - Maximum number of change events to buffer
+	 *     before changes are dropped.  See `ChangeStream` .
+	 * @return {DocumentStream} - A readable object stream of change events.  Each event contains
+	 *   the properties `type` ('insert', 'update' or 'remove'), `keys` (a map from the model's key fields
+	 *   to their values) and `data` (the data of the new or removed document).  If changes were dropped
+	 *   because the consumer fell behind, an event with the type 'overflow' and `numDropped` is pushed.
+	 *   The stream does not end until its `close()` method is called.
+	 */
+	watch(query = {}, options = {}) {
+		if (_.isPlainObject(query)) query = createQuery(query, options);
+		let stream = new ChangeStream(this, query, options);
+		this._changeStreams.add(stream);
+		return stream;
+	}
+
+	/**
+	 * Reports a change to a document to all streams returned by `watch()`.
+	 *
+	 * @method _emitChange
+	 * @protected
+	 * @param {String} type - One of 'insert', 'update' or 'remove'
+	 * @param {Object} data - The data of the new or removed document
+	 */
+	_emitChange(type, data) {
+		if (!this._changeStreams.size) return;
+		let keys = {};
+		let keyFields;
+		try {
+			keyFields = this.getKeys();
+		} catch (ex) {
+			// Models without keys report changes without them
+			keyFields = [];
+		}
+		for (let keyField of keyFields) {
+			keys[keyField] = objtools.getPath(data, keyField);
+		}
+		for (let stream of this._changeStreams) {
+			stream._pushChange({ type, keys, data });
+		}
+	}
+
+	/**
+	 * Reports an insert from the data passed to `insert()` and the value it resolved with.
+	 *
+	 * @method _emitInsertChange
+	 * @private
+	 * @param {Object} data - The inserted data
+	 * @param {Document} [result] - The result of `insert()`, possibly containing generated fields
+	 */
+	_emitInsertChange(data, result) {
+		if (!this._changeStreams.size) return;
+		if (result && _.isFunction(result.getData)) {
+			data = objtools.merge({}, data, result.getData());
+		}
+		this._emitChange('insert', data);
+	}
+
+	/**
+	 * Stops reporting changes to a stream returned by `watch()`.
+	 *
+	 * @method _removeChangeStream
+	 * @private
+	 * @param {ChangeStream} stream
+	 */
+	_removeChangeStream(stream) {
+		this._changeStreams.delete(stream);
 	}
 
 }
@@ -0,0 +1,72 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const XError = require('xerror');
+
+/**
+ * Helpers for `Model#use()` .
+ */
+
+/**
+ * Converts a plugin into its object form.  Plugins may be given as functions, which are used as the
+ * `install` function of a plugin named after the function.
+ *
+ * @method normalizePlugin
+ * @throws {XError} - With code `INVALID_ARGUMENT` if the plugin is invalid
+ * @param {Object|Function} plugin
+ * @return {Object}
+ */
+function normalizePlugin(plugin) {
+	if (_.isFunction(plugin)) {
+		plugin = { name: plugin.pluginName || plugin.name, install: plugin };
+	}
+	if (!_.isPlainObject(plugin) || !plugin.name || typeof plugin.name !== 'string') {
+		throw new XError(XError.INVALID_ARGUMENT, 'Plugins must be functions or objects with a name');
+	}
+	return _.defaults({}, plugin, {
+		dependencies: [],
+		after: [],
+		hooks: {},
+		methods: {},
+		documentMethods: {}
+	});
+}
+
+/**
+ * Orders a list of plugins so that each plugin comes after its dependencies, and after any plugins
+ * named in its `after` list.  Otherwise, plugins stay in the given order.
+ *
+ * @method sortPlugins
+ * @throws {XError} - With code `INVALID_ARGUMENT` if the plugins have circular dependencies
+ * @param {Object[]} entries - Objects containing a normalized `plugin` and its `options`
+ * @return {Object[]} - The sorted entries
+ */
+function sortPlugins(entries) {
+	let entriesByName = _.keyBy(entries, (entry) => entry.plugin.name);
+	let sorted = [];
+	let visiting = new Set();
+	let visited = new Set();
+	let visit = (entry) => {
+		let name = entry.plugin.name;
+		if (visited.has(name)) return;
+		if (visiting.has(name)) {
+			throw new XError(XError.INVALID_ARGUMENT, `Plugin ${name} has circular dependencies`, { plugin: name });
+		}
+		visiting.add(name);
+		for (let prevName of entry.plugin.dependencies.concat(entry.plugin.after)) {
+			if (entriesByName[prevName]) visit(entriesByName[prevName]);
+		}
+		visiting.delete(name);
+		visited.add(name);
+		sorted.push(entry);
+	};
+	entries.forEach(visit);
+	return sorted;
+}
+
+module.exports = {
+	normalizePlugin,
+	sortPlugins
+};
@@ -0,0 +1,249 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const objtools = require('objtools');
+const { createQuery } = require('common-query');
+const Model = require('../base/model');
+const LRUCacheStore = require('./lru-cache-store');
+const { isKeyLookup } = require('../utils/keys');
+
+/**
+ * A model that wraps another model, and caches the results of reads in a cache store.  The
+ * results of `findOne()`, `count()`, `aggregate()`, and `find()` queries that match exact values of
+ * all key fields are cached.  All other methods are passed through to the wrapped model.
+ *
+ * Cache entries are keyed by the normalized query and options, and are invalidated by any write
+ * made through this model, and by saving or removing documents of the wrapped model.  Writes made
+ * to the datastore by other means are not detected, so stores should expire entries if this matters.
+ *
+ * Documents are stored in the cache as-is, and copies are returned, so modifying returned
+ * documents does not affect cached values.
+ *
+ * @class CachedModel
+ * @constructor
+ * @param {Model} model - The model to wrap
+ * @param {Object} [options]
+ *   @param {Object} options.store - Cache store with `get(key)` and `set(key, value)` methods, which
+ *     may return promises.  Defaults to a new `LRUCacheStore` .
+ *   @param {Number} options.maxSize - `maxSize` option for the default store
+ *   @param {Number} options.maxAge - `maxAge` option for the default store
+ */
+class CachedModel extends Model {
+
+	constructor(model, options = {}) {
+		super(options);
+		this.model = model;
+		this.store = options.store || new LRUCacheStore(_.pick(options, [ 'maxSize', 'maxAge' ]));
+		// Incremented on each write, and included in cache keys, so that earlier entries are never read
+		this._cacheGeneration = 0;
+
+		// Saving and removing documents of the wrapped model bypasses this model
+		if (_.isFunction(model.hook)) {
+			model.hook('post-save', () => this.invalidate());
+			model.hook('post-remove', () => this.invalidate());
+		}
+	}
+
+	/**
+	 * Returns the model wrapped by this model.
+	 *
+	 * @method getWrappedModel
+	 * @since v2.1.0
+	 * @return {Model}
+	 */
+	getWrappedModel() {
+		return this.model;
+	}
+
+	/**
+	 * Invalidates all cache entries for this model.
+	 *
+	 * @method invalidate
+	 * @since v2.1.0
+	 */
+	invalidate() {
+		this._cacheGeneration++;
+	}
+
+	getName() {
+		return this.model.getName();
+	}
+
+	getKeys() {
+		return this.model.getKeys();
+	}
+
+	getType() {
+		return this.model.getType();
+	}
+
+	find(query, options = {}) {
+		return Promise.resolve()
+			.then(() => {
+				let normalizedQuery = this._normalizeQuery(query, options);
+				if (!isKeyLookup(normalizedQuery, this.getKeys())) return this.model.find(query, options);
+				return this._cached('find', normalizedQuery, options, () => this.model.find(query, options));
+			});
+	}
+
+	findStream(query, options = {}) {
+		return this.model.findStream(query, options);
+	}
+
+	findOne(query, options = {}) {
+		return Promise.resolve()
+			.then(() => {
+				let normalizedQuery = this._normalizeQuery(query, options);
+				return this._cached('findOne', normalizedQuery, options, () => this.model.findOne(query, options));
+			});
+	}
+
+	count(query, options = {}) {
+		return Promise.resolve()
+			.then(() => {
+				let normalizedQuery = this._normalizeQuery(query, options);
+				return this._cached('count', normalizedQuery, options, () => this.model.count(query, options));
+			});
+	}
+
+	aggregate(query, aggregate, options = {}) {
+		return Promise.resolve()
+			.then(() => {
+				let normalizedQuery = this._normalizeQuery(query, options);
+				let aggregateData = _.isFunction(aggregate.getData) ? aggregate.getData() : aggregate;
+				let cacheOptions = _.assign({}, options, { aggregate: aggregateData });
+				return this._cached('aggregate', normalizedQuery, cacheOptions, () => {
+					return this.model.aggregate(query, aggregate, options);
+				});
+			});
+	}
+
+	aggregateMulti(query, aggregates, options = {}) {
+		return this.model.aggregateMulti(query, aggregates, options);
+	}
+
+	aggregateStream(query, aggregate, options = {}) {
+		return this.model.aggregateStream(query, aggregate, options);
+	}
+
+	create(data) {
+		return this.model.create(data);
+	}
+
+	insert(data, options = {}) {
+		return this._write(() => this.model.insert(data, options));
+	}
+
+	insertMulti(datas, options = {}) {
+		return this._write(() => this.model.insertMulti(datas, options));
+	}
+
+	update(query, update, options = {}) {
+		return this._write(() => this.model.update(query, update, options));
+	}
+
+	upsert(query, update, options = {}) {
+		return this._write(() => this.model.upsert(query, update, options));
+	}
+
+	remove(query, options = {}) {
+		return this._write(() => this.model.remove(query, options));
+	}
+
+	watch(query = {}, options = {}) {
+		return this.model.watch(query, options);
+	}
+
+	/**
+	 * Normalizes a query with the wrapped model's `normalizeQuery()` if it has one.
+	 *
+	 * @method _normalizeQuery
+	 * @private
+	 * @param {Query|Object} query
+	 * @param {Object} options
+	 * @return {Query}
+	 */
+	_normalizeQuery(query, options) {
+		if (_.isFunction(this.model.normalizeQuery)) return this.model.normalizeQuery(query, options);
+		if (_.isPlainObject(query)) return createQuery(query, options);
+		return query;
+	}
+
+	/**
+	 * Returns a cached result if one exists, and otherwise calls a function to get the result
+	 * and caches it.
+	 *
+	 * @method _cached
+	 * @private
+	 * @param {String} method - The name of the method being cached
+	 * @param {Query} query - The normalized query
+	 * @param {Object} options - Options affecting the result
+	 * @param {Function} fn - Function returning a promise resolving with the result
+	 * @return {Promise} - Resolves with a copy of the result
+	 */
+	_cached(method, query, options, fn) {
+		let cacheKey = this.getName() + ':' + objtools.objectHash({
+			generation: this._cacheGeneration,
+			method,
+			query: query.getData(),
+			// Signals do not affect results
+			options: _.omit(options, [ 'signal' ])
+		});
+		return Promise.resolve(this.store.get(cacheKey))
+			.then((cachedResult) => {
+				if (cachedResult !== undefined) return cachedResult;
+				return fn()
+					.then((result) => {
+						return Promise.resolve(this.store.set(cacheKey, result))
+							.then(() => result);
+					});
+			})
+			.then((result) => copyResult(result));
+	}
+
+	/**
+	 * Performs a write and invalidates the cache, whether or not the write succeeds.
+	 *
+	 * @method _write
+	 * @private
+	 * @param {Function} fn - Function returning a promise for the write
+	 * @return {Promise}
+	 */
+	_write(fn) {
+		return Promise.resolve()
+			.then(fn)
+			.then((result) => {
+				this.invalidate();
+				return result;
+			}, (err) => {
+				this.invalidate();
+				throw err;
+			});
+	}
+
+}
+
+// Copies documents, including their data, so that changes to them do not affect cached results
+function copyDocument(doc) {
+	let copy = Object.assign(Object.create(Object.getPrototypeOf(doc)), doc);
+	copy.data = objtools.deepCopy(doc.data);
+	if (doc._originalData) copy._originalData = objtools.deepCopy(doc._originalData);
+	return copy;
+}
+
+function copyResult(result) {
+	if (result && _.isFunction(result.getData)) return copyDocument(result);
+	if (_.isArray(result)) {
+		let copy = result.map(copyResult);
+		// Retain properties such as total and cursor
+		for (let prop in result) {
+			if (!/^\d+$/.test(prop)) copy[prop] = result[prop];
+		}
+		return copy;
+	}
+	return objtools.deepCopy(result);
+}
+
+module.exports = CachedModel;
@@ -0,0 +1,85 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+/**
+ * An in-memory cache store that evicts the least recently used entries once it reaches a
+ * maximum size.  This is the default store for `CachedModel` .
+ *
+ * Cache stores implement `get(key)`, which returns the cached value or undefined, and
+ * `set(key, value)` .  Either method may return a promise.
+ *
+ * @class LRUCacheStore
+ * @constructor
+ * @param {Object} [options]
+ *   @param {Number} [options.maxSize=1000] - Maximum number of entries to store
+ *   @param {Number} [options.maxAge] - If set, entries expire after this many milliseconds
+ */
+class LRUCacheStore {
+
+	constructor(options = {}) {
+		this.maxSize = options.maxSize || 1000;
+		this.maxAge = options.maxAge || null;
+		// Map from keys to entries, in order from least to most recently used
+		this._entries = new Map();
+	}
+
+	/**
+	 * Returns a cached value, and marks it as recently used.
+	 *
+	 * @method get
+	 * @since v2.1.0
+	 * @param {String} key
+	 * @return {Mixed} - The cached value, or undefined if there is none
+	 */
+	get(key) {
+		let entry = this._entries.get(key);
+		if (!entry) return undefined;
+		this._entries.delete(key);
+		if (entry.expires && entry.expires <= Date.now()) return undefined;
+		this._entries.set(key, entry);
+		return entry.value;
+	}
+
+	/**
+	 * Stores a value, evicting the least recently used entry if the store is full.
+	 *
+	 * @method set
+	 * @since v2.1.0
+	 * @param {String} key
+	 * @param {Mixed} value
+	 */
+	set(key, value) {
+		this._entries.delete(key);
+		this._entries.set(key, {
+			value,
+			expires: this.maxAge ? Date.now() + this.maxAge : null
+		});
+		while (this._entries.size > this.maxSize) {
+			this._entries.delete(this._entries.keys().next().value);
+		}
+	}
+
+	/**
+	 * Removes all entries.
+	 *
+	 * @method clear
+	 * @since v2.1.0
+	 */
+	clear() {
+		this._entries.clear();
+	}
+
+	/**
+	 * Returns the number of stored entries, including any that have expired but not been evicted.
+	 *
+	 * @property size
+	 * @type Number
+	 */
+	get size() {
+		return this._entries.size;
+	}
+
+}
+
+module.exports = LRUCacheStore;
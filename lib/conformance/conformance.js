@@ -0,0 +1,285 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+/* eslint-env mocha */
+
+const assert = require('assert');
+const _ = require('lodash');
+const XError = require('xerror');
+
+/**
+ * A mocha test suite that checks that a model implementation behaves as documented.  Model
+ * packages can run it from their own tests:
+ *
+ * ```js
+ * require('unimodel-core/conformance')((name, schema) => new MyModel(name, schema));
+ * ```
+ *
+ * Before each test, a new model is created and filled with the fixture documents.  Tests of
+ * operations that the model's `getCapabilities()` reports as unsupported are skipped.
+ */
+
+// Schema of the fixture model, in common-schema format
+const SCHEMA = {
+	id: { type: Number, key: true, required: true },
+	name: { type: String, required: true },
+	animalType: String,
+	age: Number
+};
+
+// Documents inserted before each test
+const DOCUMENTS = [
+	{ id: 1, name: 'Toby', animalType: 'cat', age: 5 },
+	{ id: 2, name: 'Ruff', animalType: 'dog', age: 2 },
+	{ id: 3, name: 'Felix', animalType: 'cat', age: 9 },
+	{ id: 4, name: 'Rex', animalType: 'dog', age: 4 },
+	{ id: 5, name: 'Tom', animalType: 'cat', age: 7 }
+];
+
+/**
+ * Defines the conformance test suite.  This must be called where mocha's `describe()` and `it()`
+ * are available.
+ *
+ * @method conformance
+ * @since v2.1.0
+ * @param {Function} createModel - Function that is called with a model name and schema, and returns
+ *   an empty model, or a promise resolving with one.  The schema is a common-schema schema object
+ *   containing a numeric `id` key, `name`, `animalType` and `age` .
+ * @param {Object} [options]
+ *   @param {String} [options.name='Model conformance'] - Name of the mocha suite
+ */
+function conformance(createModel, options = {}) {
+	describe(options.name || 'Model conformance', function() {
+		let model;
+		let capabilities;
+
+		beforeEach(function() {
+			return Promise.resolve(createModel('ConformanceAnimals', _.cloneDeep(SCHEMA)))
+				.then((newModel) => {
+					model = newModel;
+					capabilities = _.isFunction(model.getCapabilities) ? model.getCapabilities() : null;
+					return model.insertMulti(_.cloneDeep(DOCUMENTS));
+				});
+		});
+
+		// Skips the current test unless all of the given operations are supported
+		function requires(test, ...operations) {
+			if (!capabilities) return;
+			if (operations.some((operation) => capabilities.operations[operation] === 'unsupported')) {
+				test.skip();
+			}
+		}
+
+		function findAll() {
+			return model.find({}, { sort: [ 'id' ] });
+		}
+
+		it('should find all documents', function() {
+			return model.find({})
+				.then((results) => {
+					assert(_.isArray(results), 'find() should resolve with an array');
+					assert.deepStrictEqual(getIds(results).sort(), [ 1, 2, 3, 4, 5 ]);
+				});
+		});
+
+		it('should find documents matching a query', function() {
+			return model.find({ animalType: 'cat', age: { $gt: 5 } })
+				.then((results) => {
+					assert.deepStrictEqual(getIds(results).sort(), [ 3, 5 ]);
+				});
+		});
+
+		it('should sort results', function() {
+			return model.find({}, { sort: [ '-age' ] })
+				.then((results) => {
+					assert.deepStrictEqual(getIds(results), [ 3, 5, 1, 4, 2 ]);
+				});
+		});
+
+		it('should sort results by multiple fields', function() {
+			return model.find({}, { sort: [ 'animalType', '-id' ] })
+				.then((results) => {
+					assert.deepStrictEqual(getIds(results), [ 5, 3, 1, 4, 2 ]);
+				});
+		});
+
+		it('should skip and limit results', function() {
+			return model.find({}, { sort: [ 'id' ], skip: 1, limit: 2 })
+				.then((results) => {
+					assert.deepStrictEqual(getIds(results), [ 2, 3 ]);
+				});
+		});
+
+		it('should return the total number of results with the total option', function() {
+			return model.find({ animalType: 'cat' }, { sort: [ 'id' ], limit: 1, total: true })
+				.then((results) => {
+					assert(_.isArray(results), 'find() should resolve with an array');
+					assert.deepStrictEqual(getIds(results), [ 1 ]);
+					assert.strictEqual(results.total, 3);
+				});
+		});
+
+		it('should only return the given fields', function() {
+			return model.find({ id: 1 }, { fields: [ 'id', 'name' ] })
+				.then((results) => {
+					assert.strictEqual(results.length, 1);
+					let data = getData(results[0]);
+					assert.strictEqual(data.id, 1);
+					assert.strictEqual(data.name, 'Toby');
+					assert.strictEqual(data.age, undefined);
+					assert.strictEqual(data.animalType, undefined);
+				});
+		});
+
+		it('should stream results', function() {
+			requires(this, 'findStream');
+			return model.findStream({ animalType: 'dog' }, { sort: [ 'id' ] }).intoArray()
+				.then((results) => {
+					assert.deepStrictEqual(getIds(results), [ 2, 4 ]);
+				});
+		});
+
+		it('should return the total number of results from streams', function() {
+			requires(this, 'findStream');
+			let stream = model.findStream({ animalType: 'cat' }, { limit: 1, total: true });
+			return stream.intoArray()
+				.then((results) => {
+					assert.strictEqual(results.length, 1);
+					return stream.getTotal();
+				})
+				.then((total) => {
+					assert.strictEqual(total, 3);
+				});
+		});
+
+		it('should find one document', function() {
+			requires(this, 'findOne');
+			return model.findOne({ name: 'Felix' })
+				.then((doc) => {
+					assert.strictEqual(getData(doc).id, 3);
+				});
+		});
+
+		it('should reject with NOT_FOUND when findOne() matches nothing', function() {
+			requires(this, 'findOne');
+			return model.findOne({ name: 'Nobody' })
+				.then(() => {
+					throw new Error('Expected findOne() to reject');
+				}, (err) => {
+					assert(XError.isXError(err), 'findOne() should reject with an XError');
+					assert.strictEqual(err.code, XError.NOT_FOUND);
+				});
+		});
+
+		it('should count documents', function() {
+			requires(this, 'count');
+			return model.count({ animalType: 'dog' })
+				.then((count) => {
+					assert.strictEqual(count, 2);
+				});
+		});
+
+		it('should insert documents', function() {
+			requires(this, 'insert');
+			return model.insert({ id: 6, name: 'Spot', animalType: 'dog', age: 1 })
+				.then(() => model.find({ id: 6 }))
+				.then((results) => {
+					assert.strictEqual(results.length, 1);
+					assert.strictEqual(getData(results[0]).name, 'Spot');
+				});
+		});
+
+		it('should resolve insertMulti() with a result for each document', function() {
+			let datas = [
+				{ id: 6, name: 'Spot', animalType: 'dog', age: 1 },
+				{ id: 7, name: 'Kitty', animalType: 'cat', age: 3 }
+			];
+			return model.insertMulti(datas)
+				.then((results) => {
+					assert(_.isArray(results), 'insertMulti() should resolve with an array');
+					assert.strictEqual(results.length, 2);
+					return model.count({});
+				})
+				.then((count) => {
+					assert.strictEqual(count, 7);
+				});
+		});
+
+		it('should update matching documents', function() {
+			requires(this, 'update');
+			return model.update({ animalType: 'cat' }, { $inc: { age: 1 } })
+				.then(() => findAll())
+				.then((results) => {
+					assert.deepStrictEqual(results.map((doc) => getData(doc).age), [ 6, 2, 10, 4, 8 ]);
+				});
+		});
+
+		it('should update existing documents when upserting', function() {
+			requires(this, 'upsert');
+			return model.upsert({ id: 2 }, { $set: { age: 3 } })
+				.then(() => findAll())
+				.then((results) => {
+					assert.strictEqual(results.length, 5);
+					assert.strictEqual(getData(results[1]).age, 3);
+					assert.strictEqual(getData(results[1]).name, 'Ruff');
+				});
+		});
+
+		it('should insert a document when upserting with no matches', function() {
+			requires(this, 'upsert');
+			return model.upsert({ id: 6 }, { $set: { name: 'Spot', age: 1 } })
+				.then(() => findAll())
+				.then((results) => {
+					assert.strictEqual(results.length, 6);
+					let data = getData(results[5]);
+					assert.strictEqual(data.id, 6);
+					assert.strictEqual(data.name, 'Spot');
+					assert.strictEqual(data.age, 1);
+				});
+		});
+
+		it('should remove matching documents', function() {
+			requires(this, 'remove');
+			return model.remove({ animalType: 'cat' })
+				.then(() => findAll())
+				.then((results) => {
+					assert.deepStrictEqual(getIds(results), [ 2, 4 ]);
+				});
+		});
+
+		it('should execute multiple aggregates', function() {
+			requires(this, 'aggregateMulti');
+			return model.aggregateMulti({ animalType: 'cat' }, {
+				ages: {
+					stats: { age: { min: true, max: true } },
+					total: true
+				},
+				byType: {
+					groupBy: 'animalType',
+					total: true
+				}
+			})
+				.then((results) => {
+					assert.deepStrictEqual(results.ages, {
+						stats: { age: { min: 5, max: 9 } },
+						total: 3
+					});
+					assert.deepStrictEqual(results.byType, [ { key: [ 'cat' ], total: 3 } ]);
+				});
+		});
+	});
+}
+
+function getData(doc) {
+	return _.isFunction(doc.getData) ? doc.getData() : doc;
+}
+
+function getIds(docs) {
+	return docs.map((doc) => getData(doc).id);
+}
+
+conformance.SCHEMA = SCHEMA;
+conformance.DOCUMENTS = DOCUMENTS;
+
+module.exports = conformance;
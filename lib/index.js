@@ -6,10 +6,36 @@
 exports.Model = require('./base/model');
 exports.Document = require('./base/document');
 exports.DocumentStream = require('./base/document-stream');
+exports.ModelRegistry = require('./base/model-registry');
 
 // Schema models
 exports.SchemaModel = require('./schema-model/schema-model');
 exports.SchemaDocument = require('./schema-model/schema-document');
 
+// In-memory models
+exports.MemoryModel = require('./memory-model/memory-model');
+exports.MemoryDocument = require('./memory-model/memory-document');
+
+// Caching
+exports.CachedModel = require('./cached-model/cached-model');
+exports.LRUCacheStore = require('./cached-model/lru-cache-store');
+
+// Resilience
+exports.ResilientModel = require('./resilient-model/resilient-model');
+exports.CircuitBreaker = require('./resilient-model/circuit-breaker');
+
+// Union models
+exports.UnionModel = require('./union-model/union-model');
+
+// Instrumentation
+exports.MemoryMetricsCollector = require('./instrumentation/memory-metrics-collector');
+exports.TracerSink = require('./instrumentation/tracer-sink');
+
+// Export, import and sync
+exports.exportStream = require('./transfer/export-stream');
+exports.importStream = require('./transfer/import-stream');
+exports.syncModels = require('./transfer/sync-models');
+
 // Extra Helpers
 exports.FakeDocumentStream = require('./base/fake-document-stream');
+exports.FakeAggregateStream = require('./base/fake-aggregate-stream');
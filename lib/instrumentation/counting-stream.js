@@ -0,0 +1,60 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const Transform = require('zstreams').Transform;
+const DocumentStream = require('../base/document-stream');
+const inherits = require('inheritz');
+
+/**
+ * A DocumentStream that passes through the documents of another DocumentStream, and calls a function
+ * with the number of documents once the source stream ends or errors.
+ *
+ * @class CountingStream
+ * @constructor
+ * @param {DocumentStream} source - The source stream
+ * @param {Function} onEnd - Function called with an error, or null, and the number of documents
+ */
+class CountingStream extends Transform {
+
+	constructor(source, onEnd) {
+		super({ objectMode: true });
+		this._countingStream = {
+			source,
+			onEnd,
+			count: 0,
+			ended: false
+		};
+		source.on('error', (err) => {
+			this._end(err);
+			// Errors are not otherwise forwarded from the source, so consumers would wait forever
+			this.emit('error', err);
+		});
+		source.pipe(this);
+	}
+
+	_transform(chunk, encoding, cb) {
+		this._countingStream.count++;
+		cb(null, chunk);
+	}
+
+	_flush(cb) {
+		this._end(null);
+		cb();
+	}
+
+	_end(err) {
+		if (this._countingStream.ended) return;
+		this._countingStream.ended = true;
+		this._countingStream.onEnd(err, this._countingStream.count);
+	}
+
+	getTotal() {
+		return this._countingStream.source.getTotal();
+	}
+
+}
+
+inherits(CountingStream, DocumentStream);
+
+module.exports = CountingStream;
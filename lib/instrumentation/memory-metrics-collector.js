@@ -0,0 +1,59 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+
+/**
+ * A metrics sink that stores operation events in memory.  It is intended to be used in tests.
+ *
+ * Metrics sinks implement `record(event)`, which is called when each operation completes, and/or
+ * `startSpan(event)`, which is called when each operation starts, and returns an object with an
+ * `end(event)` method called when the operation completes.  See `Model#addMetricsSink()` for the
+ * contents of events.
+ *
+ * @class MemoryMetricsCollector
+ * @constructor
+ */
+class MemoryMetricsCollector {
+
+	constructor() {
+		this.events = [];
+	}
+
+	/**
+	 * Stores an event.
+	 *
+	 * @method record
+	 * @since v2.1.0
+	 * @param {Object} event
+	 */
+	record(event) {
+		this.events.push(event);
+	}
+
+	/**
+	 * Returns the stored events, optionally only those matching a filter.
+	 *
+	 * @method getEvents
+	 * @since v2.1.0
+	 * @param {Object} [filter] - Object containing event fields to match, like `{ operation: 'find' }`
+	 * @return {Object[]}
+	 */
+	getEvents(filter) {
+		return filter ? _.filter(this.events, filter) : this.events.slice();
+	}
+
+	/**
+	 * Removes all stored events.
+	 *
+	 * @method clear
+	 * @since v2.1.0
+	 */
+	clear() {
+		this.events = [];
+	}
+
+}
+
+module.exports = MemoryMetricsCollector;
@@ -0,0 +1,59 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+// Status code of failed spans, as in OpenTelemetry's SpanStatusCode.ERROR
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * A metrics sink that creates a tracing span for each operation.  The tracer follows the OpenTelemetry
+ * API: `tracer.startSpan(name, { attributes })` returns a span with `setAttributes(attributes)`,
+ * `setStatus(status)` and `end()` methods.
+ *
+ * Spans are named like `Animals.find`, and have the attributes `unimodel.model`, `unimodel.model_type`
+ * and `unimodel.operation` .  When the operation completes, `unimodel.outcome` and, if available,
+ * `unimodel.count` and `unimodel.error_code` are added.
+ *
+ * @class TracerSink
+ * @constructor
+ * @param {Object} tracer
+ */
+class TracerSink {
+
+	constructor(tracer) {
+		this.tracer = tracer;
+	}
+
+	/**
+	 * Starts a span for an operation.
+	 *
+	 * @method startSpan
+	 * @since v2.1.0
+	 * @param {Object} event - The operation event, without its outcome
+	 * @return {Object} - An object with an `end(event)` method
+	 */
+	startSpan(event) {
+		let span = this.tracer.startSpan(`${event.model}.${event.operation}`, {
+			attributes: {
+				'unimodel.model': event.model,
+				'unimodel.model_type': event.modelType,
+				'unimodel.operation': event.operation
+			}
+		});
+		return {
+			end(endEvent) {
+				let attributes = { 'unimodel.outcome': endEvent.outcome };
+				if (endEvent.count !== undefined) attributes['unimodel.count'] = endEvent.count;
+				if (endEvent.errorCode) attributes['unimodel.error_code'] = endEvent.errorCode;
+				span.setAttributes(attributes);
+				if (endEvent.outcome === 'error') {
+					span.setStatus({ code: SPAN_STATUS_ERROR, message: endEvent.errorCode });
+				}
+				span.end();
+			}
+		};
+	}
+
+}
+
+module.exports = TracerSink;
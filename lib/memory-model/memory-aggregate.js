@@ -0,0 +1,255 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const XError = require('xerror');
+const objtools = require('objtools');
+const { createSortFn } = require('../utils/sort');
+
+// Number of milliseconds in each ISO 8601 duration component
+const DURATION_MS = {
+	W: 7 * 24 * 60 * 60 * 1000,
+	D: 24 * 60 * 60 * 1000,
+	H: 60 * 60 * 1000,
+	M: 60 * 1000,
+	S: 1000
+};
+
+// Timestamp of the first Monday after the epoch, used as the base for week groupings
+const FIRST_MONDAY = Date.UTC(1970, 0, 5);
+
+const DURATION_REGEX = new RegExp(
+	'^P(?:(\\d+(?:\\.\\d+)?)W)?(?:(\\d+(?:\\.\\d+)?)D)?' +
+	'(?:T(?:(\\d+(?:\\.\\d+)?)H)?(?:(\\d+(?:\\.\\d+)?)M)?(?:(\\d+(?:\\.\\d+)?)S)?)?$'
+);
+
+/**
+ * Converts an ISO 8601 duration (ie, 'P1DT8H') into a number of milliseconds.  Only fixed-length
+ * components (weeks, days, hours, minutes and seconds) are supported.
+ *
+ * @method parseDuration
+ * @private
+ * @param {String} duration
+ * @return {Number}
+ */
+function parseDuration(duration) {
+	let match = DURATION_REGEX.exec(duration);
+	if (!match || duration === 'P' || duration === 'PT') {
+		throw new XError(XError.UNSUPPORTED_OPERATION, `Unsupported aggregate interval duration: ${duration}`);
+	}
+	let [ , weeks, days, hours, minutes, seconds ] = match;
+	return (parseFloat(weeks || 0) * DURATION_MS.W) +
+		(parseFloat(days || 0) * DURATION_MS.D) +
+		(parseFloat(hours || 0) * DURATION_MS.H) +
+		(parseFloat(minutes || 0) * DURATION_MS.M) +
+		(parseFloat(seconds || 0) * DURATION_MS.S);
+}
+
+/**
+ * Returns the list of non-null values at a path in a document.  Arrays are flattened, so each
+ * array element is treated as a separate value.
+ *
+ * @method getValues
+ * @private
+ * @param {Object} data
+ * @param {String} field
+ * @return {Array}
+ */
+function getValues(data, field) {
+	let value = objtools.getPath(data, field, true);
+	let values = Array.isArray(value) ? _.flattenDeep(value) : [ value ];
+	return values.filter((value) => value !== null && value !== undefined);
+}
+
+/**
+ * Truncates a date to the start of the time component group it falls into.  All calculations
+ * are done in UTC.
+ *
+ * @method truncateDate
+ * @private
+ * @param {Date} date
+ * @param {String} component - One of 'year', 'month', 'week', 'day', 'hour', 'minute' or 'second'
+ * @param {Number} count - Number of time components in each group
+ * @return {Date}
+ */
+function truncateDate(date, component, count) {
+	let year = date.getUTCFullYear();
+	let month = date.getUTCMonth();
+	let day = date.getUTCDate();
+	let hour = date.getUTCHours();
+	let minute = date.getUTCMinutes();
+	let second = date.getUTCSeconds();
+	let floorTo = (value, base) => Math.floor((value - base) / count) * count + base;
+	let result;
+	switch (component) {
+		case 'year':
+			result = new Date(Date.UTC(floorTo(year, 1), 0, 1));
+			break;
+		case 'month':
+			result = new Date(Date.UTC(year, floorTo(month, 0), 1));
+			break;
+		case 'week':
+			// Weeks start on Monday, and are counted from the first Monday after the epoch
+			result = new Date(floorTo(Date.UTC(year, month, day) / DURATION_MS.W, FIRST_MONDAY / DURATION_MS.W) *
+				DURATION_MS.W);
+			break;
+		case 'day':
+			result = new Date(Date.UTC(year, month, floorTo(day, 1)));
+			break;
+		case 'hour':
+			result = new Date(Date.UTC(year, month, day, floorTo(hour, 0)));
+			break;
+		case 'minute':
+			result = new Date(Date.UTC(year, month, day, hour, floorTo(minute, 0)));
+			break;
+		case 'second':
+			result = new Date(Date.UTC(year, month, day, hour, minute, floorTo(second, 0)));
+			break;
+		default:
+			throw new XError(XError.UNSUPPORTED_OPERATION, `Unsupported aggregate time component: ${component}`);
+	}
+	// Date.UTC() maps years 0-99 to 1900-1999
+	if (component === 'year') result.setUTCFullYear(floorTo(year, 1));
+	return result;
+}
+
+/**
+ * Returns the list of group keys that a single value belongs in, for a single groupBy entry.
+ *
+ * @method getGroupKeys
+ * @private
+ * @param {Object} group - Normalized groupBy entry
+ * @param {*} value - Field value
+ * @return {Array}
+ */
+function getGroupKeys(group, value) {
+	let keys;
+	if (group.ranges) {
+		keys = [];
+		group.ranges.forEach((range, idx) => {
+			let start = (range.start instanceof Date) ? range.start.getTime() : range.start;
+			let end = (range.end instanceof Date) ? range.end.getTime() : range.end;
+			let numValue = (value instanceof Date) ? value.getTime() : value;
+			if ((start === undefined || numValue >= start) && (end === undefined || numValue < end)) {
+				keys.push(idx);
+			}
+		});
+	} else if (group.interval !== undefined) {
+		if (value instanceof Date) {
+			let interval = _.isNumber(group.interval) ? group.interval : parseDuration(group.interval);
+			let base = (group.base === undefined) ? 0 : new Date(group.base).getTime();
+			let keyTime = Math.floor((value.getTime() - base) / interval) * interval + base;
+			keys = [ new Date(keyTime).toISOString() ];
+		} else if (_.isNumber(value)) {
+			let base = group.base || 0;
+			keys = [ Math.floor((value - base) / group.interval) * group.interval + base ];
+		} else {
+			keys = [];
+		}
+	} else if (group.timeComponent) {
+		if (!(value instanceof Date)) return [];
+		keys = [ truncateDate(value, group.timeComponent, group.timeComponentCount || 1).toISOString() ];
+	} else {
+		keys = [ (value instanceof Date) ? value.toISOString() : value ];
+	}
+	if (group.only) {
+		keys = keys.filter((key) => _.some(group.only, (onlyValue) => objtools.scalarEquals(onlyValue, key)));
+	}
+	return keys;
+}
+
+/**
+ * Computes the requested stats over a set of documents.
+ *
+ * @method computeStats
+ * @private
+ * @param {Object} statsSpec - Normalized stats spec mapping fields to stats masks
+ * @param {Object[]} datas - Document data objects
+ * @return {Object} - Stats results
+ */
+function computeStats(statsSpec, datas) {
+	let statsResult = {};
+	for (let field in statsSpec) {
+		let mask = statsSpec[field];
+		let values = _.flatMap(datas, (data) => getValues(data, field));
+		let numbers = values
+			.map((value) => (value instanceof Date) ? value.getTime() : value)
+			.filter(_.isNumber);
+		let fieldResult = {};
+		if (mask.count) fieldResult.count = values.length;
+		if (mask.min && values.length) fieldResult.min = values.reduce((a, b) => (b < a ? b : a));
+		if (mask.max && values.length) fieldResult.max = values.reduce((a, b) => (b > a ? b : a));
+		if (mask.sum) fieldResult.sum = _.sum(numbers);
+		if ((mask.avg || mask.stddev) && numbers.length) {
+			let avg = _.mean(numbers);
+			if (mask.avg) fieldResult.avg = avg;
+			if (mask.stddev) {
+				fieldResult.stddev = Math.sqrt(_.mean(numbers.map((n) => (n - avg) * (n - avg))));
+			}
+		}
+		statsResult[field] = fieldResult;
+	}
+	return statsResult;
+}
+
+/**
+ * Computes the result of a single non-grouped aggregate, or a single group of a grouped aggregate.
+ *
+ * @method computeEntry
+ * @private
+ * @param {Object} aggregateData - Normalized aggregate spec
+ * @param {Object[]} datas - Document data objects
+ * @return {Object}
+ */
+function computeEntry(aggregateData, datas) {
+	let entry = {};
+	if (aggregateData.stats) entry.stats = computeStats(aggregateData.stats, datas);
+	if (aggregateData.total) entry.total = datas.length;
+	return entry;
+}
+
+/**
+ * Executes a normalized common-query aggregate over an array of in-memory document data objects.
+ *
+ * @method executeAggregate
+ * @param {Aggregate} aggregate - The normalized aggregate
+ * @param {Object[]} datas - Array of document data objects matching the aggregate's query
+ * @param {Object} [options]
+ *   @param {Number} options.limit - Maximum number of grouped result entries to return
+ *   @param {String[]} options.sort - Fields of result entries to sort grouped results by.  By default,
+ *     grouped results are sorted by key.
+ * @return {Object|Object[]} - The aggregate result
+ */
+function executeAggregate(aggregate, datas, options = {}) {
+	let aggregateData = aggregate.getData();
+	if (!aggregateData.groupBy) return computeEntry(aggregateData, datas);
+
+	// Sort each document into all groups it belongs to
+	let groups = new Map();
+	for (let data of datas) {
+		let keyLists = [ [] ];
+		for (let group of aggregateData.groupBy) {
+			let groupKeys = _.flatMap(getValues(data, group.field), (value) => getGroupKeys(group, value));
+			groupKeys = _.uniqWith(groupKeys, _.isEqual);
+			keyLists = _.flatMap(keyLists, (keyList) => groupKeys.map((key) => keyList.concat([ key ])));
+		}
+		for (let key of keyLists) {
+			let hash = objtools.objectHash(key);
+			if (!groups.has(hash)) groups.set(hash, { key, datas: [] });
+			groups.get(hash).datas.push(data);
+		}
+	}
+
+	let results = [];
+	for (let { key, datas: groupDatas } of groups.values()) {
+		results.push(_.assign({ key }, computeEntry(aggregateData, groupDatas)));
+	}
+	results.sort(createSortFn(options.sort || [ 'key' ]));
+	if (options.limit) results = results.slice(0, options.limit);
+	return results;
+}
+
+module.exports = {
+	executeAggregate
+};
@@ -0,0 +1,97 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const XError = require('xerror');
+const objtools = require('objtools');
+const SchemaDocument = require('../schema-model/schema-document');
+
+/**
+ * The document class for MemoryModel.
+ *
+ * @class MemoryDocument
+ * @constructor
+ * @param {MemoryModel} model - The model that created this document
+ * @param {Object} [data] - Optional encapsulated data
+ * @param {Object} [options]
+ *   @param {Number} options.memoryId - The internal id of the stored record this document was loaded from
+ *   @param {Boolean} options.isPartial - Set if the document data only contains a subset of fields
+ *   @param {Boolean} options.isNew - Set if the data was not loaded from the model
+ */
+class MemoryDocument extends SchemaDocument {
+
+	constructor(model, data, options = {}) {
+		super(model, data, options);
+		this._memoryId = options.memoryId;
+		this._isPartial = !!options.isPartial;
+		model.triggerSync('post-init', this);
+	}
+
+	/**
+	 * Returns true if the document was created with a subset of fields via the `fields` option
+	 * to `find()`.  Partial documents cannot be saved.
+	 *
+	 * @method isPartial
+	 * @since v2.1.0
+	 * @return {Boolean}
+	 */
+	isPartial() {
+		return this._isPartial;
+	}
+
+	/**
+	 * Normalizes the document and stores a copy of its data in the model.  Calls the `pre-save`
+	 * and `post-save` hooks.
+	 *
+	 * @method save
+	 * @since v2.1.0
+	 * @return {Promise} - Resolves with `this`
+	 */
+	save() {
+		let model = this.getModel();
+		return Promise.resolve()
+			.then(() => {
+				if (this.isPartial()) {
+					throw new XError(XError.UNSUPPORTED_OPERATION, 'Partial documents cannot be saved');
+				}
+			})
+			.then(() => model.trigger('pre-save', this))
+			.then(() => this.normalize())
+			.then(() => {
+				let isNew = (this._memoryId === undefined);
+				let expectedVersion = this._incrementVersion();
+				this._memoryId = model._storeData(this._memoryId, this.getData(), isNew ? undefined : expectedVersion);
+				model._emitChange(isNew ? 'insert' : 'update', objtools.deepCopy(this.getData()));
+				this.resetChanges();
+			})
+			.then(() => model.trigger('post-save', this))
+			.then(() => this);
+	}
+
+	/**
+	 * Removes the document's record from the model.  Calls the `pre-remove` and `post-remove` hooks.
+	 * For soft delete models, see `SchemaDocument#remove()` .
+	 *
+	 * @method remove
+	 * @since v2.1.0
+	 * @param {Object} [options] - See `SchemaDocument#remove()`
+	 * @return {Promise} - Resolves with `this`
+	 */
+	remove(options = {}) {
+		if (this._isSoftRemove(options)) return super.remove(options);
+		let model = this.getModel();
+		return model.trigger('pre-remove', this)
+			.then(() => {
+				if (this._memoryId !== undefined) {
+					model._deleteData(this._memoryId);
+					this._memoryId = undefined;
+					model._emitChange('remove', objtools.deepCopy(this.getData()));
+				}
+			})
+			.then(() => model.trigger('post-remove', this))
+			.then(() => this);
+	}
+
+}
+
+module.exports = MemoryDocument;
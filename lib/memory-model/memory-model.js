@@ -0,0 +1,334 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const XError = require('xerror');
+const objtools = require('objtools');
+const SchemaModel = require('../schema-model/schema-model');
+const MemoryDocument = require('./memory-document');
+const { executeAggregate } = require('./memory-aggregate');
+const { createSortFn } = require('../utils/sort');
+const { selectFields } = require('../utils/fields');
+
+/**
+ * A complete model implementation that stores documents in process memory.  It is intended
+ * to be used in unit tests of code that depends on a Model, and as a reference for how model
+ * implementations should behave.
+ *
+ * Documents are stored as copies, so mutating a document does not affect the stored data
+ * until the document is saved.  If the schema contains key fields, documents with duplicate
+ * keys are rejected with an `ALREADY_EXISTS` XError.
+ *
+ * @class MemoryModel
+ * @constructor
+ * @param {String} name - The name of the model, as returned by `getName()`
+ * @param {Schema|Object} schema - A common-schema Schema object, or a plain object that
+ *   is transformed into a schema.
+ * @param {Object} [options] - Additional options.  See `SchemaModel`.
+ */
+class MemoryModel extends SchemaModel {
+
+	constructor(name, schema, options = {}) {
+		super(schema, options);
+		this._name = name;
+		// Map from internal record ids to stored document data
+		this._records = new Map();
+		// Map from hashes of key field values to internal record ids
+		this._keyIndex = new Map();
+		this._nextRecordId = 1;
+	}
+
+	getName() {
+		return this._name;
+	}
+
+	getCapabilities() {
+		let capabilities = super.getCapabilities();
+		// Each document write is applied synchronously to a copy of the data before it is stored
+		capabilities.transactions.atomicDocumentWrites = true;
+		return capabilities;
+	}
+
+	/**
+	 * Creates a new MemoryDocument.  The document is not stored until it is saved.
+	 *
+	 * @method create
+	 * @since v2.1.0
+	 * @param {Object} [data={}]
+	 * @return {MemoryDocument}
+	 */
+	create(data = {}) {
+		return new MemoryDocument(this, data, { isNew: true });
+	}
+
+	/**
+	 * Returns a hash of the key field values of the given data, or null if the model has no
+	 * keys or any key fields are missing.
+	 *
+	 * @method _getKeyHash
+	 * @private
+	 * @param {Object} data
+	 * @return {String|null}
+	 */
+	_getKeyHash(data) {
+		let keys = this.getKeys();
+		if (!keys.length) return null;
+		let keyValues = [];
+		for (let key of keys) {
+			let value = objtools.getPath(data, key);
+			if (value === null || value === undefined) return null;
+			keyValues.push(value);
+		}
+		return objtools.objectHash(keyValues);
+	}
+
+	/**
+	 * Stores a copy of document data, replacing any existing record with the same id.
+	 *
+	 * @method _storeData
+	 * @private
+	 * @throws {XError} - With code `ALREADY_EXISTS` if a different record has the same keys, or
+	 *   `CONFLICT` if the stored record does not have the expected version
+	 * @param {Number} [recordId] - The id of the record to replace.  If not given, a new record is created.
+	 * @param {Object} data - Document data
+	 * @param {Number} [expectedVersion] - If given, the version the stored record must have.  See
+	 *   `SchemaModel#checkVersion()` .
+	 * @return {Number} - The record id
+	 */
+	_storeData(recordId, data, expectedVersion) {
+		if (expectedVersion !== undefined) this.checkVersion(this._records.get(recordId), expectedVersion);
+		let keyHash = this._getKeyHash(data);
+		if (keyHash !== null && this._keyIndex.has(keyHash) && this._keyIndex.get(keyHash) !== recordId) {
+			throw this._createDuplicateKeyError(data);
+		}
+		if (recordId === undefined) {
+			recordId = this._nextRecordId++;
+		} else if (this._records.has(recordId)) {
+			this._deleteData(recordId);
+		}
+		this._records.set(recordId, objtools.deepCopy(data));
+		if (keyHash !== null) this._keyIndex.set(keyHash, recordId);
+		return recordId;
+	}
+
+	/**
+	 * Checks that the keys of data about to be stored are not the same as those of each other or of
+	 * other stored records.
+	 *
+	 * @method _checkKeys
+	 * @private
+	 * @throws {XError} - With code `ALREADY_EXISTS` if any keys are the same
+	 * @param {Object[]} datas - Document data to store
+	 * @param {Number[]} [replacedRecordIds] - Ids of the records the data replaces
+	 */
+	_checkKeys(datas, replacedRecordIds = []) {
+		let replacedRecordIdSet = new Set(replacedRecordIds);
+		let keyHashes = new Set();
+		for (let data of datas) {
+			let keyHash = this._getKeyHash(data);
+			if (keyHash === null) continue;
+			let existingRecordId = this._keyIndex.get(keyHash);
+			if (
+				(existingRecordId !== undefined && !replacedRecordIdSet.has(existingRecordId)) ||
+				keyHashes.has(keyHash)
+			) {
+				throw this._createDuplicateKeyError(data);
+			}
+			keyHashes.add(keyHash);
+		}
+	}
+
+	/**
+	 * Returns the error for data whose keys are the same as those of another record.
+	 *
+	 * @method _createDuplicateKeyError
+	 * @private
+	 * @param {Object} data
+	 * @return {XError} - With code `ALREADY_EXISTS`
+	 */
+	_createDuplicateKeyError(data) {
+		return new XError(XError.ALREADY_EXISTS, 'A document with the same keys already exists', {
+			keys: _.pick(data, this.getKeys())
+		});
+	}
+
+	/**
+	 * Deletes a stored record.
+	 *
+	 * @method _deleteData
+	 * @private
+	 * @param {Number} recordId
+	 */
+	_deleteData(recordId) {
+		let data = this._records.get(recordId);
+		if (!data) return;
+		let keyHash = this._getKeyHash(data);
+		if (keyHash !== null) this._keyIndex.delete(keyHash);
+		this._records.delete(recordId);
+	}
+
+	/**
+	 * Returns the ids of all stored records matching a query, in insertion order.
+	 *
+	 * @method _findRecordIds
+	 * @private
+	 * @param {Query} query - Normalized query
+	 * @return {Number[]}
+	 */
+	_findRecordIds(query) {
+		let matchFn = query.createMatchingFn();
+		let recordIds = [];
+		for (let [ recordId, data ] of this._records) {
+			if (matchFn(data)) recordIds.push(recordId);
+		}
+		return recordIds;
+	}
+
+	/**
+	 * Normalizes raw document data according to the schema, as is done when saving documents.
+	 *
+	 * @method _normalizeRecordData
+	 * @private
+	 * @param {Object} data
+	 * @return {Object} - Normalized copy of the data
+	 */
+	_normalizeRecordData(data) {
+		let recordData = this.removeVirtualFields(objtools.deepCopy(data));
+		return this.getSchema().normalize(recordData, this.modelOptions.normalize || {});
+	}
+
+	find(query, options = {}) {
+		return Promise.resolve()
+			.then(() => {
+				query = this.normalizeQuery(query, options);
+				let recordIds = this._findRecordIds(query);
+				if (options.sort && options.sort.length) {
+					let sortFn = createSortFn(options.sort);
+					recordIds.sort((a, b) => sortFn(this._records.get(a), this._records.get(b)));
+				}
+				let total = recordIds.length;
+				if (options.skip) recordIds = recordIds.slice(options.skip);
+				if (options.limit) recordIds = recordIds.slice(0, options.limit);
+
+				let results = recordIds.map((recordId) => {
+					let data = objtools.deepCopy(this._records.get(recordId));
+					if (options.fields) {
+						let partialData = selectFields(data, { include: options.fields });
+						return new MemoryDocument(this, partialData, { memoryId: recordId, isPartial: true });
+					}
+					return new MemoryDocument(this, data, { memoryId: recordId });
+				});
+				if (options.total) results.total = total;
+				return results;
+			});
+	}
+
+	count(query, options = {}) {
+		return Promise.resolve()
+			.then(() => this._findRecordIds(this.normalizeQuery(query, options)).length);
+	}
+
+	aggregateMulti(query, aggregates, options = {}) {
+		return Promise.resolve()
+			.then(() => {
+				query = this.normalizeQuery(query, options);
+				let datas = this._findRecordIds(query).map((recordId) => this._records.get(recordId));
+				let resultsMap = {};
+				for (let aggregateKey in aggregates) {
+					let aggregate = this.normalizeAggregate(aggregates[aggregateKey], options);
+					resultsMap[aggregateKey] = executeAggregate(aggregate, datas, options);
+				}
+				return resultsMap;
+			});
+	}
+
+	insertMulti(datas/*, options = {}*/) {
+		return Promise.resolve()
+			.then(() => {
+				// Normalize and check keys of everything before storing anything, so invalid data
+				// does not result in a partial insert
+				let normalizedDatas = datas.map((data) => this._normalizeRecordData(data));
+				this._checkKeys(normalizedDatas);
+				let versionField = this.getVersionField();
+				let schemaVersionField = this.getSchemaVersionField();
+				for (let data of normalizedDatas) {
+					if (versionField && objtools.getPath(data, versionField) === undefined) {
+						objtools.setPath(data, versionField, 1);
+					}
+					if (schemaVersionField && objtools.getPath(data, schemaVersionField) === undefined) {
+						objtools.setPath(data, schemaVersionField, this.getSchemaVersion());
+					}
+				}
+				return normalizedDatas.map((data) => {
+					let recordId = this._storeData(undefined, data);
+					return new MemoryDocument(this, objtools.deepCopy(data), { memoryId: recordId });
+				});
+			});
+	}
+
+	/**
+	 * Updates all documents matching a query.  Updates are applied to each stored record in-place,
+	 * without instantiating documents or calling document hooks.
+	 *
+	 * @method update
+	 * @since v2.1.0
+	 * @param {Object} query
+	 * @param {Object} update
+	 * @param {Object} [options={}]
+	 * @return {Promise} - Resolves with the number of documents updated
+	 */
+	update(query, update, options = {}) {
+		return Promise.resolve()
+			.then(() => {
+				query = this.normalizeQuery(query, options);
+				update = this.normalizeUpdate(update, options);
+				let recordIds = this._findRecordIds(query);
+				let versionField = this.getVersionField();
+				let updatedDatas = recordIds.map((recordId) => {
+					let storedData = this._records.get(recordId);
+					// Stale records are migrated so the update applies to current data
+					let data = update.apply(this.migrateData(objtools.deepCopy(storedData)));
+					if (versionField) {
+						objtools.setPath(data, versionField, (objtools.getPath(storedData, versionField) || 0) + 1);
+					}
+					return this._normalizeRecordData(data);
+				});
+				// Check keys of all updated records before storing any, so a conflict does not result
+				// in a partial update
+				this._checkKeys(updatedDatas, recordIds);
+				// Records may take each other's keys, so remove them all before storing the updates
+				recordIds.forEach((recordId) => this._deleteData(recordId));
+				recordIds.forEach((recordId, idx) => {
+					this._storeData(recordId, updatedDatas[idx]);
+					this._emitChange('update', updatedDatas[idx]);
+				});
+				return recordIds.length;
+			});
+	}
+
+	/**
+	 * Removes all documents matching a query without instantiating documents or calling document hooks.
+	 *
+	 * @method remove
+	 * @since v2.1.0
+	 * @param {Object} query
+	 * @param {Object} [options={}]
+	 * @return {Promise} - Resolves with the number of documents removed
+	 */
+	remove(query, options = {}) {
+		return Promise.resolve()
+			.then(() => {
+				let recordIds = this._findRecordIds(this.normalizeQuery(query, options));
+				for (let recordId of recordIds) {
+					let data = this._records.get(recordId);
+					this._deleteData(recordId);
+					this._emitChange('remove', data);
+				}
+				return recordIds.length;
+			});
+	}
+
+}
+
+module.exports = MemoryModel;
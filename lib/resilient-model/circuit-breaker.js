@@ -0,0 +1,94 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const XError = require('xerror');
+
+// Calls are rejected with this code while the circuit is open.  It is not a transient error, so
+// callers that retry transient errors do not add to the load on the failing datastore.
+XError.registerErrorCode('circuit_open', { message: 'Circuit breaker is open', http: 503 });
+
+/**
+ * A circuit breaker that stops calls to a failing datastore.  After `failureThreshold` consecutive
+ * failures, the circuit opens and calls are rejected without being attempted.  Once `resetTimeout`
+ * has passed, the circuit is half-open, and the next call is attempted.  If it succeeds the circuit
+ * closes, and otherwise it opens again.
+ *
+ * @class CircuitBreaker
+ * @constructor
+ * @param {Object} [options]
+ *   @param {Number} [options.failureThreshold=5] - Number of consecutive failures that opens the circuit
+ *   @param {Number} [options.resetTimeout=30000] - Number of milliseconds the circuit stays open
+ */
+class CircuitBreaker {
+
+	constructor(options = {}) {
+		this.failureThreshold = options.failureThreshold || 5;
+		this.resetTimeout = options.resetTimeout || 30000;
+		this._numFailures = 0;
+		// Time the circuit was opened, or null if it is closed
+		this._openedAt = null;
+		// True while the trial call of a half-open circuit is in progress
+		this._trialInProgress = false;
+	}
+
+	/**
+	 * Returns the state of the circuit.
+	 *
+	 * @method getState
+	 * @since v2.1.0
+	 * @return {String} - One of 'closed', 'open' or 'half-open'
+	 */
+	getState() {
+		if (this._openedAt === null) return 'closed';
+		if (Date.now() - this._openedAt >= this.resetTimeout) return 'half-open';
+		return 'open';
+	}
+
+	/**
+	 * Checks whether a call may be attempted.  This must be followed by a call to `recordSuccess()`
+	 * or `recordFailure()` once the call completes.
+	 *
+	 * @method check
+	 * @since v2.1.0
+	 * @throws {XError} - With code `circuit_open` and `circuitOpen` set in its data if the circuit is open
+	 */
+	check() {
+		let state = this.getState();
+		if (state === 'open' || (state === 'half-open' && this._trialInProgress)) {
+			throw new XError(XError.CIRCUIT_OPEN, 'Circuit breaker is open after repeated failures', {
+				circuitOpen: true
+			});
+		}
+		if (state === 'half-open') this._trialInProgress = true;
+	}
+
+	/**
+	 * Records a successful call, closing the circuit.
+	 *
+	 * @method recordSuccess
+	 * @since v2.1.0
+	 */
+	recordSuccess() {
+		this._numFailures = 0;
+		this._openedAt = null;
+		this._trialInProgress = false;
+	}
+
+	/**
+	 * Records a failed call, opening the circuit if the failure threshold is reached.
+	 *
+	 * @method recordFailure
+	 * @since v2.1.0
+	 */
+	recordFailure() {
+		this._numFailures++;
+		if (this._trialInProgress || this._numFailures >= this.failureThreshold) {
+			this._openedAt = Date.now();
+		}
+		this._trialInProgress = false;
+	}
+
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,313 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+/* global AbortController */
+const _ = require('lodash');
+const XError = require('xerror');
+const pasync = require('pasync');
+const Model = require('../base/model');
+const CircuitBreaker = require('./circuit-breaker');
+const { isKeyLookup } = require('../utils/keys');
+const { onAbort } = require('../utils/abort');
+
+// Error codes that indicate a failure which may not happen again.  `internal_error` is not included because
+// other errors, such as programming errors, are converted to it.
+const DEFAULT_RETRY_CODES = [ XError.TIMED_OUT, 'db_error' ];
+
+/**
+ * A model that wraps another model, and applies timeouts, retries and a circuit breaker to its
+ * operations.
+ *
+ * Operations that fail with a transient error (an error with one of the `retryCodes`) are retried
+ * with exponential backoff, but only if they are idempotent: `find()`, `findOne()`, `count()`,
+ * `aggregate()`, `aggregateMulti()`, and `upsert()` with a query matching exact values of all key
+ * fields.  Other operations are attempted once.
+ *
+ * Transient errors count as failures for the circuit breaker.  While the circuit is open, operations
+ * are rejected with a `circuit_open` XError with `circuitOpen` set in its data.  This code is not
+ * retried by default.
+ *
+ * Operations that time out are aborted through the `signal` option passed to the wrapped model.
+ *
+ * Errors that are not XErrors are converted into `INTERNAL_ERROR` XErrors, and errors of operations
+ * that were retried are wrapped in an XError with the same code noting the number of attempts.  The
+ * original error is attached as the `cause` .
+ *
+ * @class ResilientModel
+ * @constructor
+ * @param {Model} model - The model to wrap
+ * @param {Object} [options]
+ *   @param {Number|Object} options.timeout - Number of milliseconds after which operations are rejected
+ *     with a `TIMED_OUT` XError, or a map from method names to timeouts.  The `default` entry of the map
+ *     applies to methods not in the map.  By default, operations do not time out.
+ *   @param {Number} [options.retries=2] - Maximum number of times to retry an operation
+ *   @param {Number} [options.retryDelay=100] - Number of milliseconds to wait before the first retry
+ *   @param {Number} [options.backoffFactor=2] - Factor the delay is multiplied by for each further retry
+ *   @param {Number} [options.maxRetryDelay=5000] - Maximum number of milliseconds to wait before a retry
+ *   @param {String[]} options.retryCodes - XError codes of transient errors.  Defaults to `timed_out`
+ *     and `db_error` .
+ *   @param {Boolean} [options.circuitBreaker=true] - Set to false to disable the circuit breaker
+ *   @param {Number} options.failureThreshold - `failureThreshold` option for the circuit breaker
+ *   @param {Number} options.resetTimeout - `resetTimeout` option for the circuit breaker
+ */
+class ResilientModel extends Model {
+
+	constructor(model, options = {}) {
+		super(options);
+		this.model = model;
+		this.retries = _.isNumber(options.retries) ? options.retries : 2;
+		this.retryDelay = _.isNumber(options.retryDelay) ? options.retryDelay : 100;
+		this.backoffFactor = options.backoffFactor || 2;
+		this.maxRetryDelay = options.maxRetryDelay || 5000;
+		this.retryCodes = options.retryCodes || DEFAULT_RETRY_CODES;
+		this.circuitBreaker = (options.circuitBreaker === false) ?
+			null :
+			new CircuitBreaker(_.pick(options, [ 'failureThreshold', 'resetTimeout' ]));
+	}
+
+	/**
+	 * Returns the model wrapped by this model.
+	 *
+	 * @method getWrappedModel
+	 * @since v2.1.0
+	 * @return {Model}
+	 */
+	getWrappedModel() {
+		return this.model;
+	}
+
+	/**
+	 * Returns the state of the circuit breaker.
+	 *
+	 * @method getCircuitState
+	 * @since v2.1.0
+	 * @return {String} - One of 'closed', 'open' or 'half-open', or null if the circuit breaker is disabled
+	 */
+	getCircuitState() {
+		return this.circuitBreaker ? this.circuitBreaker.getState() : null;
+	}
+
+	getName() {
+		return this.model.getName();
+	}
+
+	getKeys() {
+		return this.model.getKeys();
+	}
+
+	getType() {
+		return this.model.getType();
+	}
+
+	getCapabilities() {
+		return this.model.getCapabilities();
+	}
+
+	find(query, options = {}) {
+		return this._execute('find', true, options, (options) => this.model.find(query, options));
+	}
+
+	findStream(query, options = {}) {
+		this._checkCircuit();
+		return this.model.findStream(query, options);
+	}
+
+	findOne(query, options = {}) {
+		return this._execute('findOne', true, options, (options) => this.model.findOne(query, options));
+	}
+
+	count(query, options = {}) {
+		return this._execute('count', true, options, (options) => this.model.count(query, options));
+	}
+
+	aggregate(query, aggregate, options = {}) {
+		return this._execute('aggregate', true, options, (options) => {
+			return this.model.aggregate(query, aggregate, options);
+		});
+	}
+
+	aggregateMulti(query, aggregates, options = {}) {
+		return this._execute('aggregateMulti', true, options, (options) => {
+			return this.model.aggregateMulti(query, aggregates, options);
+		});
+	}
+
+	aggregateStream(query, aggregate, options = {}) {
+		this._checkCircuit();
+		return this.model.aggregateStream(query, aggregate, options);
+	}
+
+	create(data) {
+		return this.model.create(data);
+	}
+
+	insert(data, options = {}) {
+		return this._execute('insert', false, options, (options) => this.model.insert(data, options));
+	}
+
+	insertMulti(datas, options = {}) {
+		return this._execute('insertMulti', false, options, (options) => this.model.insertMulti(datas, options));
+	}
+
+	update(query, update, options = {}) {
+		return this._execute('update', false, options, (options) => this.model.update(query, update, options));
+	}
+
+	upsert(query, update, options = {}) {
+		return Promise.resolve()
+			.then(() => {
+				let idempotent = isKeyLookup(query, this.getKeys(), options);
+				return this._execute('upsert', idempotent, options, (options) => {
+					return this.model.upsert(query, update, options);
+				});
+			});
+	}
+
+	remove(query, options = {}) {
+		return this._execute('remove', false, options, (options) => this.model.remove(query, options));
+	}
+
+	bulkWrite(ops, options = {}) {
+		return this._execute('bulkWrite', false, options, (options) => this.model.bulkWrite(ops, options));
+	}
+
+	watch(query = {}, options = {}) {
+		return this.model.watch(query, options);
+	}
+
+	/**
+	 * Returns the timeout for a method, or null if it does not time out.
+	 *
+	 * @method _getTimeout
+	 * @private
+	 * @param {String} method
+	 * @return {Number|null}
+	 */
+	_getTimeout(method) {
+		let timeout = this.modelOptions.timeout;
+		if (_.isPlainObject(timeout)) timeout = (timeout[method] !== undefined) ? timeout[method] : timeout.default;
+		return timeout || null;
+	}
+
+	/**
+	 * Throws if the circuit breaker is open.  This is used for streaming methods, which are not
+	 * otherwise protected.
+	 *
+	 * @method _checkCircuit
+	 * @private
+	 * @throws {XError}
+	 */
+	_checkCircuit() {
+		if (this.getCircuitState() === 'open') this.circuitBreaker.check();
+	}
+
+	/**
+	 * Executes an operation of the wrapped model, applying the timeout, retries and circuit breaker.
+	 *
+	 * @method _execute
+	 * @private
+	 * @param {String} method - Name of the method called
+	 * @param {Boolean} idempotent - Whether the operation may be retried
+	 * @param {Object} options - Options of the operation
+	 * @param {Function} fn - Function that performs the operation with the given options and returns a promise
+	 * @return {Promise}
+	 */
+	_execute(method, idempotent, options, fn) {
+		let numAttempts = 0;
+		let attempt = () => {
+			try {
+				if (this.circuitBreaker) this.circuitBreaker.check();
+			} catch (err) {
+				return Promise.reject(err);
+			}
+			numAttempts++;
+			return this._withTimeout(method, options, fn)
+				.then((result) => {
+					if (this.circuitBreaker) this.circuitBreaker.recordSuccess();
+					return result;
+				}, (err) => {
+					if (!XError.isXError(err)) err = new XError(XError.INTERNAL_ERROR, `${method}() failed`, {}, err);
+					let isTransient = _.includes(this.retryCodes, err.code);
+					if (this.circuitBreaker) {
+						// Other errors show that the datastore is available
+						if (isTransient) {
+							this.circuitBreaker.recordFailure();
+						} else {
+							this.circuitBreaker.recordSuccess();
+						}
+					}
+					if (!isTransient || !idempotent || numAttempts > this.retries) throw err;
+					return pasync.setTimeout(this._getRetryDelay(numAttempts)).then(attempt);
+				});
+		};
+		return attempt()
+			.catch((err) => {
+				if (numAttempts > 1) {
+					let msg = `${method}() failed after ${numAttempts} attempts`;
+					throw new XError(err.code, msg, { attempts: numAttempts }, err);
+				}
+				throw err;
+			});
+	}
+
+	/**
+	 * Returns the number of milliseconds to wait before retrying an operation.
+	 *
+	 * @method _getRetryDelay
+	 * @private
+	 * @param {Number} numAttempts - Number of attempts made so far
+	 * @return {Number}
+	 */
+	_getRetryDelay(numAttempts) {
+		return Math.min(this.retryDelay * Math.pow(this.backoffFactor, numAttempts - 1), this.maxRetryDelay);
+	}
+
+	/**
+	 * Calls a function with the operation's options, and rejects with a `TIMED_OUT` XError if it does
+	 * not complete within the method's timeout.  The function is passed a `signal` option which is
+	 * aborted when the operation times out, or when the caller's own `signal` is aborted.
+	 *
+	 * @method _withTimeout
+	 * @private
+	 * @param {String} method - Name of the method called
+	 * @param {Object} options - Options of the operation
+	 * @param {Function} fn - Function taking the options and returning a promise
+	 * @return {Promise}
+	 */
+	_withTimeout(method, options, fn) {
+		let timeout = this._getTimeout(method);
+		if (!timeout) return Promise.resolve().then(() => fn(options));
+		let controller = new AbortController();
+		let removeListener = _.noop;
+		if (options.signal) {
+			if (options.signal.aborted) {
+				controller.abort(options.signal.reason);
+			} else {
+				removeListener = onAbort(options.signal, () => controller.abort(options.signal.reason));
+			}
+		}
+		return new Promise((resolve, reject) => {
+			let timer = setTimeout(() => {
+				let err = new XError(XError.TIMED_OUT, `${method}() timed out after ${timeout}ms`, { timeout });
+				removeListener();
+				reject(err);
+				controller.abort(err);
+			}, timeout);
+			Promise.resolve()
+				.then(() => fn(_.assign({}, options, { signal: controller.signal })))
+				.then((result) => {
+					clearTimeout(timer);
+					removeListener();
+					resolve(result);
+				}, (err) => {
+					clearTimeout(timer);
+					removeListener();
+					reject(err);
+				});
+		});
+	}
+
+}
+
+module.exports = ResilientModel;
@@ -0,0 +1,74 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const Transform = require('zstreams').Transform;
+const DocumentStream = require('../base/document-stream');
+const inherits = require('inheritz');
+const pasync = require('pasync');
+
+/**
+ * A transform stream that populates references on documents passing through it.  Documents are
+ * buffered into batches, so referenced documents can be loaded with one query per batch.
+ *
+ * @class PopulateStream
+ * @constructor
+ * @param {SchemaModel} model - The model the documents belong to
+ * @param {DocumentStream} sourceStream - The stream of documents being populated
+ * @param {String[]} paths - Reference fields to populate
+ * @param {Object} [options]
+ *   @param {Number} options.populateBatchSize - Maximum number of documents to populate at once
+ */
+class PopulateStream extends Transform {
+
+	constructor(model, sourceStream, paths, options = {}) {
+		super({ objectMode: true });
+		this._populateStream = {
+			model, // The model the documents belong to
+			sourceStream, // The stream of documents being populated
+			paths, // Reference fields to populate
+			batchSize: options.populateBatchSize || 100, // Number of documents to populate at once
+			batch: [] // Documents waiting to be populated
+		};
+	}
+
+	_transform(doc, encoding, cb) {
+		let state = this._populateStream;
+		state.batch.push(doc);
+		if (state.batch.length < state.batchSize) return cb();
+		this._populateBatch(cb);
+	}
+
+	_flush(cb) {
+		this._populateBatch(cb);
+	}
+
+	/**
+	 * Populates and pushes all buffered documents.
+	 *
+	 * @method _populateBatch
+	 * @private
+	 * @param {Function} cb
+	 */
+	_populateBatch(cb) {
+		let state = this._populateStream;
+		let batch = state.batch;
+		state.batch = [];
+		if (!batch.length) return cb();
+		state.model.populate(batch, state.paths)
+			.then(() => {
+				for (let doc of batch) this.push(doc);
+				cb();
+			}, cb)
+			.catch(pasync.abort);
+	}
+
+	getTotal() {
+		return this._populateStream.sourceStream.getTotal();
+	}
+
+}
+
+inherits(PopulateStream, DocumentStream);
+
+module.exports = PopulateStream;
@@ -2,8 +2,16 @@
 // Licensed under the Apache License, Version 2.0
 // http://www.apache.org/licenses/LICENSE-2.0
 
+const XError = require('xerror');
 const Document = require('../base/document');
 const objtools = require('objtools');
+const { selectFields } = require('../utils/fields');
+
+// Functions converting values of common-schema types for toJSON()
+const JSON_TRANSFORMS = {
+	date: (value) => ((value instanceof Date) ? value.toISOString() : value),
+	binary: (value) => (Buffer.isBuffer(value) ? value.toString('base64') : value)
+};
 
 /**
  * This document class adds schema-handling capabilities to the base document.
@@ -12,12 +20,106 @@ const objtools = require('objtools');
  * @constructor
  * @param {Model} model - The model that created this document
  * @param {Object} [data] - Optional encapsulated data
+ * @param {Object} [options]
+ *   @param {Boolean} options.isNew - Set if the data is new rather than loaded from the datastore.  New
+ *     data is assumed to be at the model's current schema version, and is not migrated.
+ *   @param {Boolean} options.isPartial - Set if the data only contains a subset of fields.  Partial
+ *     data is not migrated.
  */
 class SchemaDocument extends Document {
 
-	constructor(model, data) {
-		super(model, data);
+	constructor(model, data, options = {}) {
+		// The data is snapshotted by _migrateData(), or once it has been normalized
+		super(model, data, { skipResetChanges: true });
+		// Map from reference field paths to populated documents
+		this._populated = {};
+		let migrated = false;
+		if (options.isNew) {
+			this._setSchemaVersion();
+		} else if (!options.isPartial) {
+			migrated = this._migrateData();
+		}
 		this._normalizeData({ allowMissingFields: true });
+		// Normalization is not a modification, but migration is, so migrated documents can be saved
+		if (!migrated) this.resetChanges();
+	}
+
+	/**
+	 * Removes the document.  For soft delete models, this marks the document as deleted instead,
+	 * unless the `hardDelete` option is set.  Subclasses that implement `remove()` should call
+	 * `super.remove(options)` when `_isSoftRemove(options)` returns true.
+	 *
+	 * @method remove
+	 * @since v2.1.0
+	 * @param {Object} [options]
+	 *   @param {Boolean} options.hardDelete - If set, the document is removed even if soft delete is enabled
+	 * @return {Promise} - Resolves with `this`
+	 */
+	remove(options = {}) {
+		if (this._isSoftRemove(options)) return this._softRemove();
+		return super.remove(options);
+	}
+
+	/**
+	 * Returns true if removing the document with the given options should mark it as deleted
+	 * instead of removing it.
+	 *
+	 * @method _isSoftRemove
+	 * @protected
+	 * @param {Object} [options] - Options passed to `remove()`
+	 * @return {Boolean}
+	 */
+	_isSoftRemove(options = {}) {
+		return !!this.getModel().getSoftDeleteField() && !options.hardDelete;
+	}
+
+	/**
+	 * Marks the document as deleted by setting the model's soft delete field, and saves it.  Calls the
+	 * `pre-remove` and `post-remove` hooks.
+	 *
+	 * @method _softRemove
+	 * @private
+	 * @return {Promise} - Resolves with `this`
+	 */
+	_softRemove() {
+		let model = this.getModel();
+		return model.trigger('pre-remove', this)
+			.then(() => {
+				objtools.setPath(this.data, model.getSoftDeleteField(), new Date());
+				return this.save();
+			})
+			.then(() => model.trigger('post-remove', this))
+			.then(() => this);
+	}
+
+	/**
+	 * Upgrades the document data to the model's current schema version, if the model has a
+	 * `schemaVersion` and the data is older.  The data is snapshotted before it is migrated, so
+	 * migrated documents are modified.
+	 *
+	 * @method _migrateData
+	 * @protected
+	 * @return {Boolean} - True if the data was migrated
+	 */
+	_migrateData() {
+		let model = this.getModel();
+		if (!model.isStaleData(this.getData())) return false;
+		this.resetChanges();
+		this.data = model.migrateData(this.getData());
+		return true;
+	}
+
+	/**
+	 * Sets the schema version field on new data that does not specify one.
+	 *
+	 * @method _setSchemaVersion
+	 * @private
+	 */
+	_setSchemaVersion() {
+		let model = this.getModel();
+		let schemaVersionField = model.getSchemaVersionField();
+		if (!schemaVersionField || objtools.getPath(this.getData(), schemaVersionField) !== undefined) return;
+		objtools.setPath(this.data, schemaVersionField, model.getSchemaVersion());
 	}
 
 	/**
@@ -36,10 +138,167 @@ class SchemaDocument extends Document {
 			model.modelOptions.normalize || {},
 			options
 		);
+		// Virtual fields are never stored
+		model.removeVirtualFields(this.getData());
 		this.data = model.getSchema().normalize(this.getData(), normalizeOptions);
 		return this.data;
 	}
 
+	/**
+	 * Returns the mutable data object that backs this document.
+	 *
+	 * @method getData
+	 * @since v0.0.1
+	 * @param {Object} [options]
+	 *   @param {Boolean} options.virtuals - If set, a copy of the data is returned instead, with the values
+	 *     of all virtual fields included
+	 * @return {Object}
+	 */
+	getData(options = {}) {
+		if (!options.virtuals) return this.data;
+		let data = objtools.deepCopy(this.data);
+		for (let path in this.getModel().getVirtualFields()) {
+			let value = this.getVirtual(path);
+			if (value !== undefined) objtools.setPath(data, path, value);
+		}
+		return data;
+	}
+
+	/**
+	 * Serializes the document according to the schema.  Fields marked with `{ private: true }` in the schema
+	 * are left out.  For JSON, values are converted according to their schema types: dates become ISO strings
+	 * and binary values become base64 strings.  Additional conversions can be given in the model's
+	 * `jsonTransforms` option, as a map from type names to functions.
+	 *
+	 * @method _serialize
+	 * @protected
+	 * @param {Object} options - Options to `toObject()` or `toJSON()`
+	 *   @param {String[]} options.include - If given, only these fields are included
+	 *   @param {String[]} options.exclude - Fields to leave out
+	 *   @param {Boolean} options.includePrivate - If set, private fields are included
+	 *   @param {Boolean} options.virtuals - If set, virtual fields are included
+	 * @param {Boolean} json - True if the result is converted to JSON
+	 * @return {Object}
+	 */
+	_serialize(options, json) {
+		let model = this.getModel();
+		let data = options.virtuals ? this.getData({ virtuals: true }) : objtools.deepCopy(this.getData());
+		let transforms = json ? Object.assign({}, JSON_TRANSFORMS, model.modelOptions.jsonTransforms) : {};
+		data = model.getSchema().transform(data, {
+			onField(field, value, subschema) {
+				if (subschema.private && !options.includePrivate) return undefined;
+				if (value === null || value === undefined || !transforms[subschema.type]) return value;
+				return transforms[subschema.type](value, subschema);
+			}
+		});
+		return selectFields(data || {}, options);
+	}
+
+	/**
+	 * Returns the value of a virtual field.
+	 *
+	 * @method getVirtual
+	 * @since v2.1.0
+	 * @throws {XError} - With code `INVALID_ARGUMENT` if the field is not a virtual field
+	 * @param {String} path - Path to the virtual field
+	 * @return {Mixed}
+	 */
+	getVirtual(path) {
+		return this._getVirtualField(path).get.call(this, this.data);
+	}
+
+	/**
+	 * Sets the value of a virtual field, by calling its `set` function to update the document data.
+	 *
+	 * @method setVirtual
+	 * @since v2.1.0
+	 * @throws {XError} - With code `INVALID_ARGUMENT` if the field is not a virtual field, or
+	 *   `UNSUPPORTED_OPERATION` if it has no `set` function
+	 * @param {String} path - Path to the virtual field
+	 * @param {Mixed} value
+	 */
+	setVirtual(path, value) {
+		let virtualField = this._getVirtualField(path);
+		if (!virtualField.set) {
+			throw new XError(XError.UNSUPPORTED_OPERATION, `Virtual field ${path} cannot be set`, { path });
+		}
+		virtualField.set.call(this, value, this.data);
+	}
+
+	/**
+	 * Returns the subschema of a virtual field.
+	 *
+	 * @method _getVirtualField
+	 * @private
+	 * @throws {XError} - With code `INVALID_ARGUMENT` if the field is not a virtual field
+	 * @param {String} path
+	 * @return {Object}
+	 */
+	_getVirtualField(path) {
+		let virtualField = this.getModel().getVirtualFields()[path];
+		if (!virtualField) {
+			throw new XError(XError.INVALID_ARGUMENT, `${path} is not a virtual field`, { path });
+		}
+		return virtualField;
+	}
+
+	/**
+	 * Returns the version of the document when it was loaded, for models with a `versionField` .
+	 *
+	 * @method getVersion
+	 * @since v2.1.0
+	 * @return {Number|undefined} - The loaded version, or undefined if versioning is not enabled
+	 */
+	getVersion() {
+		let versionField = this.getModel().getVersionField();
+		if (!versionField) return undefined;
+		return objtools.getPath(this._originalData, versionField) || 0;
+	}
+
+	/**
+	 * For models with a `versionField`, sets the version in the document data to one more than the
+	 * version it was loaded with.  Model implementations should call this from `save()`, and pass the
+	 * returned version to `SchemaModel#checkVersion()` when writing the document.
+	 *
+	 * @method _incrementVersion
+	 * @protected
+	 * @return {Number|undefined} - The version the stored document must have for the save to succeed,
+	 *   or undefined if versioning is not enabled
+	 */
+	_incrementVersion() {
+		let versionField = this.getModel().getVersionField();
+		if (!versionField) return undefined;
+		let expectedVersion = this.getVersion();
+		objtools.setPath(this.data, versionField, expectedVersion + 1);
+		return expectedVersion;
+	}
+
+	/**
+	 * Returns the document referenced by a field, after it is loaded with the `populate` option.
+	 *
+	 * @method getPopulated
+	 * @since v2.1.0
+	 * @param {String} path - Path to the reference field
+	 * @return {Document|Document[]|null|undefined} - The referenced document, or an array of documents
+	 *   for array fields.  Referenced documents that do not exist are null.  Returns undefined if the
+	 *   field was not populated.
+	 */
+	getPopulated(path) {
+		return this._populated[path];
+	}
+
+	/**
+	 * Attaches a referenced document to this document.  This is called by `SchemaModel#populate()` .
+	 *
+	 * @method setPopulated
+	 * @since v2.1.0
+	 * @param {String} path - Path to the reference field
+	 * @param {Document|Document[]|null} value - The referenced document or documents
+	 */
+	setPopulated(path, value) {
+		this._populated[path] = value;
+	}
+
 	/**
 	 * Normalizes and validates the data contained in this document.  Also calls the normalization hooks
 	 * `pre-normalize` and `post-normalize`.
@@ -7,7 +7,10 @@ const createSchema = require('common-schema').createSchema;
 //const { createQuery, createUpdate, createAggregate } = require('common-query');
 const commonQuery = require('common-query');
 const _ = require('lodash');
+const XError = require('xerror');
 const objtools = require('objtools');
+const pasync = require('pasync');
+const PopulateStream = require('./populate-stream');
 
 /**
  * A SchemaModel is an abstract class on top of Model that implements handling of
@@ -23,6 +26,23 @@ const objtools = require('objtools');
  *   @param {QueryFactory} options.queryFactory
  *   @param {UpdateFactory} options.updateFactory
  *   @param {AggregateFactory} options.aggregateFactory
+ *   @param {String} options.versionField - Enables optimistic concurrency control using this numeric
+ *     field.  Saving a document only succeeds if the stored version matches the version the document
+ *     was loaded with, and increments the version.  Conflicting saves reject with `XError.CONFLICT` .
+ *   @param {Number} options.schemaVersion - The current version of the schema, starting at 1.  Documents
+ *     loaded with an older version are upgraded by `migrations` before they are normalized.
+ *   @param {String} options.schemaVersionField - The numeric field storing the schema version of each
+ *     document.  This must be present in the schema.  Defaults to 'schemaVersion' .
+ *   @param {Object} options.migrations - Map from schema versions to functions that upgrade document
+ *     data from the previous version.  Each function is called with the data, and may modify it in place
+ *     or return new data.  Versions without a migration are assumed to be compatible with the previous
+ *     version.  Stored documents without a schema version are treated as version 1.
+ *   @param {ModelRegistry} options.registry - Registry used to resolve the models named by `ref` in
+ *     the schema, for the `populate` option of `find()` and `findStream()` .
+ *   @param {Boolean|String} options.softDelete - If set, removing documents sets a date field instead of
+ *     deleting them, and queries only match documents without the field unless the `includeDeleted` option
+ *     is given.  The field is 'deletedAt', or the value of this option if it is a string, and must be
+ *     present in the schema.
  */
 class SchemaModel extends Model {
 
@@ -33,6 +53,35 @@ class SchemaModel extends Model {
 		this.updateFactory = options.updateFactory || commonQuery.defaultUpdateFactory;
 		this.aggregateFactory = options.aggregateFactory || commonQuery.defaultAggregateFactory;
 		this._setSchema(schema);
+
+		// Handle the populate option around the subclass implementations of find() and findStream()
+		this._wrapMethod('find', (find) => function(query, options = {}) {
+			if (!options.populate) return find.call(this, query, options);
+			return find.call(this, query, _.omit(options, 'populate'))
+				.then((results) => this.populate(results, options.populate));
+		});
+		this._wrapMethod('findStream', (findStream) => function(query, options = {}) {
+			if (!options.populate) return findStream.call(this, query, options);
+			let sourceStream = findStream.call(this, query, _.omit(options, 'populate'));
+			return sourceStream.pipe(new PopulateStream(this, sourceStream, options.populate, options));
+		});
+	}
+
+	/**
+	 * Wraps the subclass implementation of `remove()` to handle soft delete.  This is inside the
+	 * operation hooks, so remove hooks apply to soft deletes.
+	 *
+	 * @method _wrapImplementations
+	 * @protected
+	 */
+	_wrapImplementations() {
+		super._wrapImplementations();
+		// Removing documents from soft delete models marks them as deleted instead
+		this._wrapMethod('remove', (remove) => function(query, options = {}) {
+			let softDeleteField = this.getSoftDeleteField();
+			if (!softDeleteField || options.hardDelete) return remove.call(this, query, options);
+			return this.update(query, { $set: { [softDeleteField]: new Date() } }, options);
+		});
 	}
 
 	/**
@@ -51,16 +100,46 @@ class SchemaModel extends Model {
 		}
 		this.schema = schema;
 
-		// Figure out which subschemas have the "key" flag set
+		// Figure out which subschemas have the "key" or "virtual" flags set
 		let keyFields = [];
+		let virtualFields = {};
 		schema.traverseSchema({
 			onSubschema(subschema, path) {
 				if (subschema.key) {
 					keyFields.push(path);
 				}
+				if (subschema.virtual) {
+					if (!_.isFunction(subschema.get)) {
+						throw new XError(XError.INVALID_ARGUMENT, `Virtual field ${path} must have a get function`);
+					}
+					virtualFields[path] = subschema;
+				}
 			}
 		});
 		this._documentKeyFields = keyFields;
+		this._virtualFields = virtualFields;
+	}
+
+	/**
+	 * Adds fields to the model's schema.  This is used by plugins, and must be called before the schema
+	 * is used by a backend.
+	 *
+	 * @method extendSchema
+	 * @since v2.1.0
+	 * @throws {XError} - With code `ALREADY_EXISTS` if a field is already in the schema
+	 * @param {Object} fields - Map from field names to schemas, in any form accepted by `createSchema()`
+	 */
+	extendSchema(fields) {
+		let schemaData = this.schema.getData();
+		let fieldsData = createSchema(fields).getData().properties;
+		for (let field in fieldsData) {
+			if (schemaData.properties[field]) {
+				throw new XError(XError.ALREADY_EXISTS, `Field ${field} is already in the schema`, { field });
+			}
+		}
+		this._setSchema(_.assign({}, schemaData, {
+			properties: _.assign({}, schemaData.properties, fieldsData)
+		}));
 	}
 
 	/**
@@ -86,6 +165,319 @@ class SchemaModel extends Model {
 		return this._documentKeyFields;
 	}
 
+	/**
+	 * Returns the virtual fields in the schema.  Virtual fields are marked with `{ virtual: true }`, and
+	 * have a `get(data)` function and optionally a `set(value, data)` function, which are called with
+	 * `this` set to the document.  Virtual fields are never stored.
+	 *
+	 * @method getVirtualFields
+	 * @since v2.1.0
+	 * @return {Object} - Map from paths of virtual fields to their subschemas
+	 */
+	getVirtualFields() {
+		return this._virtualFields;
+	}
+
+	/**
+	 * Deletes any values of virtual fields from document data.
+	 *
+	 * @method removeVirtualFields
+	 * @since v2.1.0
+	 * @param {Object} data - Document data.  This is modified.
+	 * @return {Object} - The data
+	 */
+	removeVirtualFields(data) {
+		for (let path in this._virtualFields) {
+			if (objtools.getPath(data, path) !== undefined) objtools.deletePath(data, path);
+		}
+		return data;
+	}
+
+	/**
+	 * Returns the name of the field used for optimistic concurrency control, as set by the
+	 * `versionField` option.
+	 *
+	 * @method getVersionField
+	 * @since v2.1.0
+	 * @return {String|null} - The version field, or null if versioning is not enabled
+	 */
+	getVersionField() {
+		return this.modelOptions.versionField || null;
+	}
+
+	/**
+	 * Checks that a stored document still has the version a document was loaded with.  Model
+	 * implementations should call this atomically with writing a document in `save()` .
+	 * Documents without a version are treated as having version 0.
+	 *
+	 * @method checkVersion
+	 * @since v2.1.0
+	 * @throws {XError} - With code `CONFLICT` if the versions do not match, or the stored document
+	 *   no longer exists
+	 * @param {Object} storedData - The data of the currently stored document
+	 * @param {Number} expectedVersion - The version the document was loaded with, as returned by
+	 *   `SchemaDocument#_incrementVersion()`
+	 */
+	checkVersion(storedData, expectedVersion) {
+		let versionField = this.getVersionField();
+		if (!versionField) return;
+		if (!storedData) {
+			throw new XError(XError.CONFLICT, 'The document was removed after it was loaded');
+		}
+		let storedVersion = objtools.getPath(storedData, versionField) || 0;
+		if (storedVersion !== (expectedVersion || 0)) {
+			throw new XError(XError.CONFLICT, 'The document was modified after it was loaded', {
+				expectedVersion: expectedVersion || 0,
+				storedVersion
+			});
+		}
+	}
+
+	/**
+	 * Returns the current schema version, as set by the `schemaVersion` option.
+	 *
+	 * @method getSchemaVersion
+	 * @since v2.1.0
+	 * @return {Number|null} - The schema version, or null if schema versioning is not enabled
+	 */
+	getSchemaVersion() {
+		return this.modelOptions.schemaVersion || null;
+	}
+
+	/**
+	 * Returns the name of the field storing the schema version of each document.
+	 *
+	 * @method getSchemaVersionField
+	 * @since v2.1.0
+	 * @return {String|null} - The schema version field, or null if schema versioning is not enabled
+	 */
+	getSchemaVersionField() {
+		if (!this.getSchemaVersion()) return null;
+		return this.modelOptions.schemaVersionField || 'schemaVersion';
+	}
+
+	/**
+	 * Returns true if the given raw document data has an older schema version than the model.
+	 *
+	 * @method isStaleData
+	 * @since v2.1.0
+	 * @param {Object} data - Document data, as stored in the datastore
+	 * @return {Boolean}
+	 */
+	isStaleData(data) {
+		let schemaVersion = this.getSchemaVersion();
+		if (!schemaVersion) return false;
+		return (objtools.getPath(data, this.getSchemaVersionField()) || 1) < schemaVersion;
+	}
+
+	/**
+	 * Upgrades raw document data to the current schema version by running each migration between
+	 * the data's version and the current version in order.  Data that is already current is returned
+	 * unchanged.
+	 *
+	 * @method migrateData
+	 * @since v2.1.0
+	 * @throws {XError} - With code `INTERNAL_ERROR` if a migration function throws
+	 * @param {Object} data - Document data, as stored in the datastore.  This may be modified.
+	 * @return {Object} - The migrated data
+	 */
+	migrateData(data) {
+		if (!this.isStaleData(data)) return data;
+		let schemaVersion = this.getSchemaVersion();
+		let schemaVersionField = this.getSchemaVersionField();
+		let migrations = this.modelOptions.migrations || {};
+		let dataVersion = objtools.getPath(data, schemaVersionField) || 1;
+		for (let version = dataVersion + 1; version <= schemaVersion; version++) {
+			if (!migrations[version]) continue;
+			try {
+				let result = migrations[version](data);
+				if (result !== undefined) data = result;
+			} catch (ex) {
+				throw new XError(XError.INTERNAL_ERROR, `Error migrating document to schema version ${version}`, {
+					fromVersion: version - 1,
+					toVersion: version
+				}, ex);
+			}
+		}
+		objtools.setPath(data, schemaVersionField, schemaVersion);
+		return data;
+	}
+
+	/**
+	 * Rewrites all stored documents that have an older schema version than the model, so they no
+	 * longer need to be migrated when loaded.  Documents are loaded with `findStream()`, which
+	 * migrates them, and then saved.
+	 *
+	 * @method migrateAll
+	 * @since v2.1.0
+	 * @param {Object} [options] - Options to pass to `findStream()` , with `writeBack` set
+	 * @return {Promise} - Resolves with the number of documents migrated
+	 */
+	migrateAll(options = {}) {
+		let schemaVersion = this.getSchemaVersion();
+		if (!schemaVersion) return Promise.resolve(0);
+		let schemaVersionField = this.getSchemaVersionField();
+		let query = {
+			$or: [
+				{ [schemaVersionField]: { $lt: schemaVersion } },
+				{ [schemaVersionField]: null }
+			]
+		};
+		let numMigrated = 0;
+		return this.findStream(query, _.assign({}, options, { writeBack: true }))
+			.each((doc) => {
+				if (!doc.isModified()) return;
+				return doc.save()
+					.then(() => { numMigrated++; });
+			})
+			.intoPromise()
+			.then(() => numMigrated);
+	}
+
+	/**
+	 * Returns the model referenced by a field, as given by the `ref` property of the field's schema.
+	 * For array fields, the `ref` of the array elements is used.
+	 *
+	 * @method getRefModel
+	 * @since v2.1.0
+	 * @throws {XError} - With code `INVALID_ARGUMENT` if the field is not a reference, or
+	 *   `UNSUPPORTED_OPERATION` if the model has no `registry` to resolve it
+	 * @param {String} path - Path to the reference field
+	 * @return {Model}
+	 */
+	getRefModel(path) {
+		let subschema = this.getSchema().getSubschemaData(path);
+		if (subschema && subschema.type === 'array') subschema = subschema.elements;
+		if (!subschema || !subschema.ref) {
+			throw new XError(XError.INVALID_ARGUMENT, `Field ${path} is not a reference`, { path });
+		}
+		let registry = this.modelOptions.registry;
+		if (!registry) {
+			throw new XError(XError.UNSUPPORTED_OPERATION, 'Resolving references requires the registry option');
+		}
+		return registry.get(subschema.ref);
+	}
+
+	/**
+	 * Loads the documents referenced by fields of the given documents, and attaches them to the
+	 * documents.  Referenced documents are loaded with a single query per field, matching the
+	 * referenced model's key.  They can be retrieved with `SchemaDocument#getPopulated()` .
+	 *
+	 * @method populate
+	 * @since v2.1.0
+	 * @param {SchemaDocument[]} documents
+	 * @param {String|String[]} paths - Reference fields to populate
+	 * @return {Promise} - Resolves with the documents
+	 */
+	populate(documents, paths) {
+		if (!_.isArray(paths)) paths = [ paths ];
+		return pasync.eachSeries(paths, (path) => this._populatePath(documents, path))
+			.then(() => documents);
+	}
+
+	/**
+	 * Populates a single reference field on documents.
+	 *
+	 * @method _populatePath
+	 * @private
+	 * @param {SchemaDocument[]} documents
+	 * @param {String} path
+	 * @return {Promise}
+	 */
+	_populatePath(documents, path) {
+		return Promise.resolve()
+			.then(() => {
+				let refModel = this.getRefModel(path);
+				let refKeys = refModel.getKeys();
+				if (refKeys.length !== 1) {
+					throw new XError(
+						XError.UNSUPPORTED_OPERATION,
+						'References are only supported to models with a single key field',
+						{ path, ref: refModel.getName() }
+					);
+				}
+				let refKey = refKeys[0];
+
+				let refValues = [];
+				for (let doc of documents) {
+					let value = objtools.getPath(doc.getData(), path);
+					for (let refValue of (_.isArray(value) ? value : [ value ])) {
+						if (refValue !== null && refValue !== undefined) refValues.push(refValue);
+					}
+				}
+				refValues = _.uniqBy(refValues, objtools.objectHash);
+				if (!refValues.length) return [];
+				return refModel.find({ [refKey]: { $in: refValues } })
+					.then((refDocs) => {
+						let refDocMap = new Map();
+						for (let refDoc of refDocs) {
+							refDocMap.set(objtools.objectHash(objtools.getPath(refDoc.getData(), refKey)), refDoc);
+						}
+						return refDocMap;
+					});
+			})
+			.then((refDocMap) => {
+				let getRefDoc = (refValue) => refDocMap.get(objtools.objectHash(refValue)) || null;
+				for (let doc of documents) {
+					let value = objtools.getPath(doc.getData(), path);
+					if (value === null || value === undefined) {
+						doc.setPopulated(path, null);
+					} else if (_.isArray(value)) {
+						doc.setPopulated(path, value.map(getRefDoc));
+					} else {
+						doc.setPopulated(path, getRefDoc(value));
+					}
+				}
+			});
+	}
+
+	/**
+	 * Returns the name of the field marking documents as deleted, as set by the `softDelete` option.
+	 *
+	 * @method getSoftDeleteField
+	 * @since v2.1.0
+	 * @return {String|null} - The field, or null if soft delete is not enabled
+	 */
+	getSoftDeleteField() {
+		let softDelete = this.modelOptions.softDelete;
+		if (!softDelete) return null;
+		return (typeof softDelete === 'string') ? softDelete : 'deletedAt';
+	}
+
+	/**
+	 * Restores soft deleted documents matching a query.
+	 *
+	 * @method restore
+	 * @since v2.1.0
+	 * @param {Object} query - Query to match documents to restore
+	 * @param {Object} [options] - Options to pass to `update()`
+	 * @return {Promise} - Resolves with the number of documents restored
+	 */
+	restore(query, options = {}) {
+		let softDeleteField = this.getSoftDeleteField();
+		if (!softDeleteField) {
+			let msg = 'Soft delete is not enabled for this model';
+			return Promise.reject(new XError(XError.UNSUPPORTED_OPERATION, msg));
+		}
+		let queryData = _.isPlainObject(query) ? query : query.getData();
+		let deletedQuery = { $and: [ queryData, { [softDeleteField]: { $exists: true, $ne: null } } ] };
+		let update = { $unset: { [softDeleteField]: true } };
+		return this.update(deletedQuery, update, _.assign({}, options, { includeDeleted: true }));
+	}
+
+	/**
+	 * Permanently removes documents matching a query, including soft deleted documents.
+	 *
+	 * @method purge
+	 * @since v2.1.0
+	 * @param {Object} query - Query to match documents to remove
+	 * @param {Object} [options] - Options to pass to `remove()`
+	 * @return {Promise} - Resolves with the number of documents removed
+	 */
+	purge(query, options = {}) {
+		return this.remove(query, _.assign({}, options, { includeDeleted: true, hardDelete: true }));
+	}
+
 	/**
 	 * Updates all documents matching a given query.
 	 * This overrides the parent method so that it may benefit from #normalizeUpdate.
@@ -104,15 +496,39 @@ class SchemaModel extends Model {
 	}
 
 	/**
-	 * Normalizes and validates the query that is passed in.
+	 * Returns a stream of change events.  This overrides the parent method to normalize the query.
+	 * See parent class, `Model`, for details.  For soft delete models, the query is not restricted to
+	 * documents that are not deleted, so soft deletes and restores are reported as updates that set and
+	 * clear the soft delete field.
+	 *
+	 * @method watch
+	 * @since v2.1.0
+	 * @param {Object} [query] - Only report changes to documents matching this query
+	 * @param {Object} [options]
+	 * @return {DocumentStream}
+	 */
+	watch(query = {}, options = {}) {
+		let normalizeOptions = _.assign({}, options, { includeDeleted: true });
+		return super.watch(this.normalizeQuery(query, normalizeOptions), options);
+	}
+
+	/**
+	 * Normalizes and validates the query that is passed in.  For soft delete models, this also
+	 * restricts the query to documents that are not deleted.
 	 *
 	 * @method normalizeQuery
 	 * @since v0.0.1
 	 * @param {Query|Object} query - Query to normalize
 	 * @param {Object} [options] - Additional options to pass to the common-query normalizer
+	 *   @param {Boolean} options.includeDeleted - If set, soft deleted documents are not excluded
 	 * @return {Query} - The query object after normalization
 	 */
 	normalizeQuery(query, options = {}) {
+		let softDeleteField = this.getSoftDeleteField();
+		if (softDeleteField && !options.includeDeleted) {
+			let queryData = _.isPlainObject(query) ? query : query.getData();
+			query = { $and: [ queryData, { [softDeleteField]: null } ] };
+		}
 		let normalizeOptions = _.assign(
 			{},
 			this.modelOptions || {},
@@ -124,6 +540,18 @@ class SchemaModel extends Model {
 		} else {
 			query.normalize(normalizeOptions);
 		}
+		if (!_.isEmpty(this._virtualFields)) {
+			for (let field of query.getQueriedFields()) {
+				let virtualField = _.find(_.keys(this._virtualFields), (path) => {
+					return field === path || field.startsWith(path + '.');
+				});
+				if (virtualField) {
+					throw new XError(XError.INVALID_ARGUMENT, `Virtual field ${virtualField} cannot be queried`, {
+						field: virtualField
+					});
+				}
+			}
+		}
 		return query;
 	}
 
@@ -148,6 +576,12 @@ class SchemaModel extends Model {
 		} else {
 			update.normalize(normalizeOptions);
 		}
+		// Updates to versioned models always increment the version
+		let versionField = this.getVersionField();
+		if (versionField && !update.isFullReplace() && update.getUpdatedFields().indexOf(versionField) === -1) {
+			let updateData = objtools.merge({}, update.getData(), { $inc: { [versionField]: 1 } });
+			update = this.updateFactory.createUpdate(updateData, normalizeOptions);
+		}
 		return update;
 	}
 
@@ -0,0 +1,154 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+
+/**
+ * Returns the paths of the fields in a schema that are exported as CSV columns.  Nested objects
+ * are flattened into their fields, while arrays, maps and mixed fields are single columns.  Private
+ * and virtual fields are left out.
+ *
+ * @method getSchemaColumns
+ * @param {Schema} schema - A common-schema Schema
+ * @return {String[]}
+ */
+function getSchemaColumns(schema) {
+	let columns = [];
+	schema.traverseSchema({
+		onSubschema(subschema, path) {
+			if (!path || subschema.type === 'object' || subschema.private || subschema.virtual) return;
+			// Skip the elements of arrays and maps that are already columns
+			let isInColumn = columns.some((column) => path === column || _.startsWith(path, column + '.'));
+			if (!isInColumn) columns.push(path);
+		}
+	});
+	return columns;
+}
+
+/**
+ * Converts a value into a CSV field.  Arrays and objects are converted to JSON.
+ *
+ * @method formatCSVValue
+ * @param {Mixed} value
+ * @return {String}
+ */
+function formatCSVValue(value) {
+	if (value === null || value === undefined) return '';
+	if (value instanceof Date) {
+		value = value.toISOString();
+	} else if (_.isObject(value)) {
+		value = JSON.stringify(value);
+	} else {
+		value = String(value);
+	}
+	if (/[",\r\n]/.test(value)) value = '"' + value.replace(/"/g, '""') + '"';
+	return value;
+}
+
+/**
+ * Converts an array of values into a line of CSV.
+ *
+ * @method formatCSVRow
+ * @param {Mixed[]} values
+ * @return {String} - The line, including the line terminator
+ */
+function formatCSVRow(values) {
+	return values.map(formatCSVValue).join(',') + '\r\n';
+}
+
+/**
+ * Incrementally parses CSV text into rows.  Quoted fields may contain commas, quotes (escaped by
+ * doubling them) and line breaks.
+ *
+ * @class CSVParser
+ * @constructor
+ */
+class CSVParser {
+
+	constructor() {
+		this._buffer = '';
+		this._row = [];
+		this._field = '';
+		this._inQuotes = false;
+		// True if the current field started with a quote, so should not be treated as empty
+		this._quoted = false;
+	}
+
+	/**
+	 * Parses a chunk of text.
+	 *
+	 * @method write
+	 * @param {String} text
+	 * @return {String[][]} - The rows completed by the chunk
+	 */
+	write(text) {
+		let rows = [];
+		let str = this._buffer + text;
+		this._buffer = '';
+		for (let i = 0; i < str.length; i++) {
+			let char = str[i];
+			if (this._inQuotes) {
+				if (char !== '"') {
+					this._field += char;
+				} else if (i + 1 >= str.length) {
+					// Wait for the next chunk to tell whether this is an escaped quote
+					this._buffer = char;
+				} else if (str[i + 1] === '"') {
+					this._field += char;
+					i++;
+				} else {
+					this._inQuotes = false;
+				}
+			} else if (char === '"' && !this._field) {
+				this._inQuotes = true;
+				this._quoted = true;
+			} else if (char === ',') {
+				this._endField();
+			} else if (char === '\n') {
+				this._endRow(rows);
+			} else if (char !== '\r') {
+				this._field += char;
+			}
+		}
+		return rows;
+	}
+
+	/**
+	 * Finishes parsing.
+	 *
+	 * @method end
+	 * @return {String[][]} - The last row, if the text did not end with a line break
+	 */
+	end() {
+		let rows = [];
+		// A quote at the end of the text closes the field
+		if (this._buffer) this._inQuotes = false;
+		this._buffer = '';
+		this._endRow(rows);
+		return rows;
+	}
+
+	_endField() {
+		this._row.push(this._field);
+		this._field = '';
+		this._quoted = false;
+	}
+
+	_endRow(rows) {
+		// Blank lines do not produce rows
+		if (this._field || this._quoted || this._row.length) {
+			this._endField();
+			rows.push(this._row);
+		}
+		this._row = [];
+	}
+
+}
+
+module.exports = {
+	getSchemaColumns,
+	formatCSVValue,
+	formatCSVRow,
+	CSVParser
+};
@@ -0,0 +1,97 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const XError = require('xerror');
+const objtools = require('objtools');
+const Transform = require('zstreams').Transform;
+const { selectFields } = require('../utils/fields');
+const { getSchemaColumns, formatCSVRow } = require('./csv');
+
+const FORMATS = [ 'ndjson', 'csv' ];
+
+/**
+ * A stream that converts documents into lines of NDJSON or CSV.
+ *
+ * @class ExportTransform
+ * @constructor
+ * @param {String} format - 'ndjson' or 'csv'
+ * @param {String[]|null} fields - Fields to include, or null to include all fields
+ */
+class ExportTransform extends Transform {
+
+	constructor(format, fields) {
+		super({ writableObjectMode: true });
+		this._exportTransform = {
+			format,
+			fields,
+			wroteHeader: false
+		};
+	}
+
+	_transform(doc, encoding, cb) {
+		let state = this._exportTransform;
+		let data = (typeof doc.toJSON === 'function') ?
+			doc.toJSON(state.fields ? { include: state.fields } : {}) :
+			selectFields(objtools.deepCopy(doc), state.fields ? { include: state.fields } : {});
+		if (state.format === 'ndjson') {
+			cb(null, JSON.stringify(data) + '\n');
+			return;
+		}
+		this._writeHeader();
+		cb(null, formatCSVRow(state.fields.map((field) => objtools.getPath(data, field))));
+	}
+
+	_flush(cb) {
+		// CSV exports always have a header, even if there are no documents
+		if (this._exportTransform.format === 'csv') this._writeHeader();
+		cb();
+	}
+
+	_writeHeader() {
+		let state = this._exportTransform;
+		if (state.wroteHeader) return;
+		state.wroteHeader = true;
+		this.push(formatCSVRow(state.fields));
+	}
+
+}
+
+/**
+ * Exports the documents matching a query as a stream of NDJSON or CSV text.  Documents are
+ * serialized with `toJSON()`, so dates are written as ISO 8601 strings and private fields are left
+ * out.
+ *
+ * CSV files have a header line containing the paths of the fields, which are the `fields` option
+ * or, for schema models, the fields in the schema.  Arrays and objects are written as JSON.
+ *
+ * @method exportStream
+ * @since v2.1.0
+ * @throws {XError} - With code `INVALID_ARGUMENT` if the format is unknown, or the CSV columns cannot
+ *   be determined
+ * @param {Model} model
+ * @param {Object} query - Query to pass to `findStream()`
+ * @param {Object} [options] - Options to pass to `findStream()` , and:
+ *   @param {String} [options.format='ndjson'] - 'ndjson' for newline-delimited JSON, or 'csv'
+ *   @param {String[]} options.fields - Fields to export.  This is required for CSV exports from models
+ *     without schemas.
+ * @return {Readable} - A stream of text
+ */
+function exportStream(model, query, options = {}) {
+	let format = options.format || 'ndjson';
+	if (!_.includes(FORMATS, format)) {
+		throw new XError(XError.INVALID_ARGUMENT, `Unknown export format: ${format}`, { format });
+	}
+	let fields = options.fields || null;
+	if (format === 'csv' && !fields) {
+		if (typeof model.getSchema !== 'function') {
+			throw new XError(XError.INVALID_ARGUMENT, 'The fields option is required to export CSV from this model');
+		}
+		fields = getSchemaColumns(model.getSchema());
+	}
+	// The fields option is also passed on, to only fetch the exported fields
+	return model.findStream(query, _.omit(options, 'format')).pipe(new ExportTransform(format, fields));
+}
+
+module.exports = exportStream;
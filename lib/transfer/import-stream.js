@@ -0,0 +1,277 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const XError = require('xerror');
+const objtools = require('objtools');
+const pasync = require('pasync');
+const zstreams = require('zstreams');
+const { StringDecoder } = require('string_decoder');
+const { CSVParser } = require('./csv');
+
+const FORMATS = [ 'ndjson', 'csv' ];
+
+/**
+ * Parses NDJSON or CSV text into document data, one chunk at a time.
+ *
+ * @class RecordParser
+ * @private
+ * @constructor
+ * @param {String} format - 'ndjson' or 'csv'
+ */
+class RecordParser {
+
+	constructor(format) {
+		this.format = format;
+		this.csvParser = (format === 'csv') ? new CSVParser() : null;
+		// Column paths from the first line of CSV text
+		this.header = null;
+		// Incomplete line at the end of the previous chunk of NDJSON text
+		this.partialLine = '';
+		// Number of records parsed so far
+		this.numRecords = 0;
+	}
+
+	/**
+	 * Parses a chunk of text.
+	 *
+	 * @method write
+	 * @param {String} text
+	 * @return {Object[]} - Records completed by the chunk, containing `row` (the 1-based record number)
+	 *   and either `data` or `error`
+	 */
+	write(text) {
+		if (this.csvParser) return this._parseCSVRows(this.csvParser.write(text));
+		let lines = (this.partialLine + text).split('\n');
+		this.partialLine = lines.pop();
+		return this._parseLines(lines);
+	}
+
+	/**
+	 * Finishes parsing.
+	 *
+	 * @method end
+	 * @return {Object[]} - The remaining records
+	 */
+	end() {
+		if (this.csvParser) return this._parseCSVRows(this.csvParser.end());
+		let lines = [ this.partialLine ];
+		this.partialLine = '';
+		return this._parseLines(lines);
+	}
+
+	_parseLines(lines) {
+		let records = [];
+		for (let line of lines) {
+			if (!line.trim()) continue;
+			let record = { row: ++this.numRecords };
+			try {
+				record.data = JSON.parse(line);
+				if (!_.isPlainObject(record.data)) {
+					throw new XError(XError.INVALID_ARGUMENT, 'Each line must contain a JSON object');
+				}
+			} catch (err) {
+				record.error = XError.isXError(err) ?
+					err :
+					new XError(XError.INVALID_ARGUMENT, 'Invalid JSON', {}, err);
+				record.data = line;
+			}
+			records.push(record);
+		}
+		return records;
+	}
+
+	_parseCSVRows(rows) {
+		let records = [];
+		for (let row of rows) {
+			if (!this.header) {
+				this.header = row;
+				continue;
+			}
+			let record = { row: ++this.numRecords, data: {} };
+			if (row.length > this.header.length) {
+				let msg = `Row has ${row.length} fields, but the header has ${this.header.length}`;
+				record.error = new XError(XError.INVALID_ARGUMENT, msg);
+				record.data = row;
+			} else {
+				row.forEach((value, idx) => {
+					// Empty fields are left out of the data
+					if (value === '') return;
+					if (/^[[{]/.test(value)) {
+						try {
+							value = JSON.parse(value);
+						} catch (err) {
+							// Leave values that are not JSON as strings
+						}
+					}
+					objtools.setPath(record.data, this.header[idx], value);
+				});
+			}
+			records.push(record);
+		}
+		return records;
+	}
+
+}
+
+/**
+ * Imports documents from a stream of NDJSON or CSV text, such as one returned by `exportStream()` .
+ * Documents of schema models are normalized with the schema, so values such as numbers and dates in
+ * CSV fields are converted to the types in the schema.  Models without schemas get CSV values as strings,
+ * except values starting with `[` or `{`, which are parsed as JSON.  The first line of CSV text must be
+ * a header containing the paths of the fields.
+ *
+ * Documents are written in batches with `bulkWrite()` .  Rows that cannot be parsed or normalized, and
+ * rows that fail to be written, are reported in the result instead of stopping the import.  If a model
+ * with a native `insertMulti()` fails to insert a batch, the rows of the batch are inserted one at a
+ * time, so only the rows that fail are reported.  This requires `insertMulti()` to store none of the
+ * documents of a batch that fails.  Models with the default `insertMulti()` insert each row separately.
+ *
+ * @method importStream
+ * @since v2.1.0
+ * @param {Model} model
+ * @param {Readable} readable - A stream of text or buffers
+ * @param {Object} [options]
+ *   @param {String} [options.format='ndjson'] - 'ndjson' for newline-delimited JSON, or 'csv'
+ *   @param {Number} [options.batchSize=100] - Number of documents to write at once
+ *   @param {Boolean} options.upsertOnKeys - If set, each document is upserted with a query matching
+ *     its key fields, instead of being inserted
+ * @return {Promise} - Resolves with an object containing:
+ *   - `rowCount` - The number of rows read
+ *   - `insertedCount`, `upsertedCount` - The number of documents inserted and upserted
+ *   - `errorCount` - The number of rows that failed
+ *   - `errors` - An array of objects containing the `row` number (starting at 1, not counting the
+ *     CSV header), the `error`, and the row's `data`
+ *   Rejects with an XError with code `INVALID_ARGUMENT` if the options are invalid.
+ */
+function importStream(model, readable, options = {}) {
+	let format = options.format || 'ndjson';
+	let batchSize = options.batchSize || 100;
+	let report = { rowCount: 0, insertedCount: 0, upsertedCount: 0, errorCount: 0, errors: [] };
+	let parser = new RecordParser(format);
+	let decoder = new StringDecoder('utf8');
+	let keys;
+	// Whether the model inserts batches of documents with a native insertMulti()
+	let insertsBatches;
+	// Normalized records waiting to be written
+	let pendingRecords = [];
+
+	let addError = (record, error) => {
+		report.errorCount++;
+		report.errors.push({ row: record.row, error, data: record.data });
+	};
+
+	let addRecords = (records) => {
+		for (let record of records) {
+			report.rowCount++;
+			if (record.error) {
+				addError(record, record.error);
+				continue;
+			}
+			try {
+				record.op = getWriteOp(model, record.data, keys);
+			} catch (err) {
+				addError(record, err);
+				continue;
+			}
+			pendingRecords.push(record);
+		}
+	};
+
+	// Inserts records one at a time, so that only the records that fail are reported
+	let insertRecords = (records) => {
+		return pasync.eachSeries(records, (record) => {
+			return model.insert(record.op.insert)
+				.then(() => {
+					report.insertedCount++;
+				}, (err) => addError(record, err));
+		});
+	};
+
+	let writeBatch = (batch) => {
+		// The default insertMulti() inserts one document at a time, and stops at the first failure
+		if (!keys && !insertsBatches) return insertRecords(batch);
+		let failedInserts = [];
+		return model.bulkWrite(batch.map((record) => record.op), { ordered: false })
+			.then((result) => {
+				report.insertedCount += result.insertedCount;
+				report.upsertedCount += result.upsertedCount;
+				result.results.forEach((opResult, idx) => {
+					if (opResult.success) return;
+					// A failed insertMulti() call is reported for each of its documents
+					if (opResult.type === 'insert') {
+						failedInserts.push(batch[idx]);
+					} else {
+						addError(batch[idx], opResult.error);
+					}
+				});
+				return insertRecords(failedInserts);
+			});
+	};
+
+	// Writes full batches, and the last partial batch once the input has ended
+	let writePending = (isEnd) => {
+		let batches = [];
+		while (pendingRecords.length >= batchSize || (isEnd && pendingRecords.length)) {
+			batches.push(pendingRecords.splice(0, batchSize));
+		}
+		return pasync.eachSeries(batches, writeBatch);
+	};
+
+	return Promise.resolve()
+		.then(() => {
+			if (!_.includes(FORMATS, format)) {
+				throw new XError(XError.INVALID_ARGUMENT, `Unknown import format: ${format}`, { format });
+			}
+			insertsBatches = (model.getCapabilities().operations.insertMulti === 'native');
+			if (options.upsertOnKeys) {
+				keys = model.getKeys();
+				if (!keys.length) throw new XError(XError.INVALID_ARGUMENT, 'upsertOnKeys requires a model with keys');
+			}
+			return zstreams(readable)
+				.each((chunk) => {
+					addRecords(parser.write(_.isString(chunk) ? chunk : decoder.write(chunk)));
+					return writePending(false);
+				})
+				.intoPromise();
+		})
+		.then(() => {
+			addRecords(parser.write(decoder.end()));
+			addRecords(parser.end());
+			return writePending(true);
+		})
+		.then(() => report);
+}
+
+/**
+ * Normalizes imported document data, and returns the bulk write operation that writes it.
+ *
+ * @method getWriteOp
+ * @private
+ * @throws {XError} - If the data is invalid or is missing a key field
+ * @param {Model} model
+ * @param {Object} data
+ * @param {String[]} [keys] - If given, the key fields to upsert on
+ * @return {Object} - A `bulkWrite()` operation
+ */
+function getWriteOp(model, data, keys) {
+	if (typeof model.getSchema === 'function') {
+		data = objtools.deepCopy(data);
+		// Virtual fields are never stored
+		model.removeVirtualFields(data);
+		data = model.getSchema().normalize(data, model.modelOptions.normalize || {});
+	}
+	if (!keys) return { insert: data };
+	let query = {};
+	for (let key of keys) {
+		let value = objtools.getPath(data, key);
+		if (value === undefined || value === null) {
+			throw new XError(XError.INVALID_ARGUMENT, `Row is missing key field ${key}`, { field: key });
+		}
+		query[key] = value;
+	}
+	return { upsert: { query, update: data } };
+}
+
+module.exports = importStream;
@@ -0,0 +1,252 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const XError = require('xerror');
+const objtools = require('objtools');
+const pasync = require('pasync');
+const { Update } = require('common-query');
+
+const MODES = [ 'apply', 'dry-run' ];
+
+/**
+ * Reconciles the documents in a target model with those in a source model, such as when copying data
+ * from a primary datastore into a search index.  Documents are matched by their key fields.  Source
+ * documents missing from the target are inserted, and target documents with different data are updated
+ * with the changed fields.  If `removeOrphans` is set, target documents matching the query that have no
+ * corresponding source document are removed.
+ *
+ * Source documents are streamed and compared in batches, so neither model needs to fit in memory, and
+ * each batch is written with `bulkWrite()` .  Orphans are removed after all source documents have been
+ * compared.  Failed writes are reported in the result rather than stopping the sync.  Note that if the
+ * target model inserts a batch of documents with a single call to `insertMulti()`, a failed insert is
+ * reported for each document of the batch.
+ *
+ * @method syncModels
+ * @since v2.1.0
+ * @param {Model} source - Model to copy documents from
+ * @param {Model} target - Model to write documents to
+ * @param {Object} [options]
+ *   @param {Object} [options.query={}] - Query matching the documents to sync
+ *   @param {String[]} options.keyFields - Fields to match documents on.  Defaults to the source
+ *     model's keys.
+ *   @param {String} [options.mode='apply'] - 'apply' to write changes to the target, or 'dry-run' to
+ *     only report the differences
+ *   @param {Boolean} options.removeOrphans - If set, target documents without a source document are removed
+ *   @param {Number} [options.batchSize=100] - Number of documents to compare and write at once
+ * @return {Promise} - Resolves with an object containing:
+ *   - `dryRun` - True if no changes were written
+ *   - `inserted` - Key values of documents inserted into the target
+ *   - `updated` - Objects containing the `keys` of updated documents and the `changes` made, as
+ *     an update expression
+ *   - `removed` - Key values of orphaned documents removed from the target
+ *   - `insertedCount`, `updatedCount`, `removedCount`, `unchangedCount` - The number of documents
+ *     in each category
+ *   - `errorCount`, `errors` - The number of failed operations, and an array of objects containing
+ *     the `keys` of the document, the `operation` and the `error`
+ *   In dry-run mode, documents are reported as inserted, updated or removed without being written.
+ *   Rejects with an XError with code `INVALID_ARGUMENT` if the options are invalid.
+ */
+function syncModels(source, target, options = {}) {
+	let query = options.query || {};
+	let mode = options.mode || 'apply';
+	let dryRun = (mode === 'dry-run');
+	let batchSize = options.batchSize || 100;
+	let keyFields;
+	let report = {
+		dryRun,
+		inserted: [],
+		updated: [],
+		removed: [],
+		insertedCount: 0,
+		updatedCount: 0,
+		removedCount: 0,
+		unchangedCount: 0,
+		errorCount: 0,
+		errors: []
+	};
+
+	let addError = (keys, operation, error) => {
+		report.errorCount++;
+		report.errors.push({ keys, operation, error });
+	};
+
+	// Executes a batch of write operations, and records each successful operation with its report function
+	let write = (ops) => {
+		if (!ops.length) return;
+		if (dryRun) {
+			ops.forEach((op) => op.report());
+			return;
+		}
+		return target.bulkWrite(ops.map((op) => op.op), { ordered: false })
+			.then((result) => {
+				result.results.forEach((opResult, idx) => {
+					let op = ops[idx];
+					if (opResult.success) {
+						op.report();
+					} else {
+						addError(op.keys, op.type, opResult.error);
+					}
+				});
+			});
+	};
+
+	// Compares a batch of source documents with the target, and writes the differences
+	let syncBatch = (sourceDocs) => {
+		let sourceDatas = [];
+		for (let doc of sourceDocs) {
+			let data = objtools.deepCopy(doc.getData());
+			let keys = getKeyValues(data, keyFields);
+			if (!keys) {
+				let msg = 'Source document is missing a key field';
+				addError(_.pick(data, keyFields), 'insert', new XError(XError.INVALID_ARGUMENT, msg));
+				continue;
+			}
+			sourceDatas.push({ data, keys });
+		}
+		if (!sourceDatas.length) return;
+		return target.find(getKeysQuery(sourceDatas.map((entry) => entry.keys), keyFields))
+			.then((targetDocs) => {
+				let targetDataByKey = {};
+				for (let doc of targetDocs) {
+					let data = doc.getData();
+					let keys = getKeyValues(data, keyFields);
+					if (keys) targetDataByKey[getKeyString(keys, keyFields)] = data;
+				}
+				let ops = [];
+				for (let { data, keys } of sourceDatas) {
+					let targetData = targetDataByKey[getKeyString(keys, keyFields)];
+					if (!targetData) {
+						ops.push({
+							type: 'insert',
+							keys,
+							op: { insert: data },
+							report: () => {
+								report.insertedCount++;
+								report.inserted.push(keys);
+							}
+						});
+					} else if (objtools.deepEquals(data, targetData)) {
+						report.unchangedCount++;
+					} else {
+						let changes = Update.createFromDiff(targetData, data);
+						ops.push({
+							type: 'update',
+							keys,
+							op: { update: { query: getKeysQuery([ keys ], keyFields), update: changes } },
+							report: () => {
+								report.updatedCount++;
+								report.updated.push({ keys, changes });
+							}
+						});
+					}
+				}
+				return write(ops);
+			});
+	};
+
+	// Finds target documents matching the query that have no source document
+	let findOrphans = () => {
+		let orphans = [];
+		return target.findStream(query)
+			.batch(batchSize)
+			.each((targetDocs) => {
+				let targetKeys = _.compact(targetDocs.map((doc) => getKeyValues(doc.getData(), keyFields)));
+				if (!targetKeys.length) return;
+				let sourceQuery = { $and: [ query, getKeysQuery(targetKeys, keyFields) ] };
+				return source.find(sourceQuery, { fields: keyFields })
+					.then((sourceDocs) => {
+						let sourceKeySet = new Set(sourceDocs.map((doc) => {
+							return getKeyString(getKeyValues(doc.getData(), keyFields) || {}, keyFields);
+						}));
+						for (let keys of targetKeys) {
+							if (!sourceKeySet.has(getKeyString(keys, keyFields))) orphans.push(keys);
+						}
+					});
+			})
+			.intoPromise()
+			.then(() => orphans);
+	};
+
+	return Promise.resolve()
+		.then(() => {
+			if (!_.includes(MODES, mode)) {
+				throw new XError(XError.INVALID_ARGUMENT, `Unknown sync mode: ${mode}`, { mode });
+			}
+			keyFields = options.keyFields || source.getKeys();
+			if (!keyFields.length) throw new XError(XError.INVALID_ARGUMENT, 'Key fields are required to sync models');
+			return source.findStream(query)
+				.batch(batchSize)
+				.each(syncBatch)
+				.intoPromise();
+		})
+		.then(() => {
+			if (!options.removeOrphans) return;
+			// Orphans are removed once they have all been found, so removing them does not affect paging
+			return findOrphans()
+				.then((orphans) => pasync.eachSeries(_.chunk(orphans, batchSize), (orphanBatch) => {
+					return write(orphanBatch.map((keys) => ({
+						type: 'remove',
+						keys,
+						op: { remove: { query: getKeysQuery([ keys ], keyFields) } },
+						report: () => {
+							report.removedCount++;
+							report.removed.push(keys);
+						}
+					})));
+				}));
+		})
+		.then(() => report);
+}
+
+/**
+ * Returns the values of a document's key fields.
+ *
+ * @method getKeyValues
+ * @private
+ * @param {Object} data - Document data
+ * @param {String[]} keyFields
+ * @return {Object|null} - Map from key fields to values, or null if any key is missing
+ */
+function getKeyValues(data, keyFields) {
+	let keys = {};
+	for (let field of keyFields) {
+		let value = objtools.getPath(data, field);
+		if (value === undefined || value === null) return null;
+		keys[field] = value;
+	}
+	return keys;
+}
+
+/**
+ * Returns a string identifying a document by its key values.
+ *
+ * @method getKeyString
+ * @private
+ * @param {Object} keys - Map from key fields to values
+ * @param {String[]} keyFields
+ * @return {String}
+ */
+function getKeyString(keys, keyFields) {
+	return JSON.stringify(keyFields.map((field) => keys[field]));
+}
+
+/**
+ * Returns a query matching the documents with any of the given key values.
+ *
+ * @method getKeysQuery
+ * @private
+ * @param {Object[]} keyValues - Maps from key fields to values
+ * @param {String[]} keyFields
+ * @return {Object}
+ */
+function getKeysQuery(keyValues, keyFields) {
+	if (keyValues.length === 1) return _.clone(keyValues[0]);
+	if (keyFields.length === 1) {
+		return { [keyFields[0]]: { $in: keyValues.map((keys) => keys[keyFields[0]]) } };
+	}
+	return { $or: keyValues.map((keys) => _.clone(keys)) };
+}
+
+module.exports = syncModels;
@@ -0,0 +1,198 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const objtools = require('objtools');
+const { Readable } = require('zstreams');
+const inherits = require('inheritz');
+const DocumentStream = require('../base/document-stream');
+const { createSortFn } = require('../utils/sort');
+
+/**
+ * Reads objects one at a time from a readable object stream.
+ *
+ * @class StreamReader
+ * @private
+ * @constructor
+ * @param {Readable} stream
+ */
+class StreamReader {
+
+	constructor(stream) {
+		this.stream = stream;
+		this.ended = false;
+		this.error = null;
+		// Function to call when the stream becomes readable, ends or errors
+		this._waiting = null;
+		let notify = () => {
+			let waiting = this._waiting;
+			this._waiting = null;
+			if (waiting) waiting();
+		};
+		stream.on('readable', notify);
+		stream.on('end', () => {
+			this.ended = true;
+			notify();
+		});
+		stream.on('error', (err) => {
+			this.error = err;
+			notify();
+		});
+	}
+
+	/**
+	 * Reads the next object from the stream.
+	 *
+	 * @method next
+	 * @return {Promise} - Resolves with the object, or null if the stream has ended
+	 */
+	next() {
+		return new Promise((resolve, reject) => {
+			let attempt = () => {
+				if (this.error) return reject(this.error);
+				let item = this.stream.read();
+				if (item !== null) return resolve(item);
+				if (this.ended) return resolve(null);
+				this._waiting = attempt;
+			};
+			attempt();
+		});
+	}
+
+}
+
+/**
+ * A DocumentStream that merges the documents of several DocumentStreams.  If a sort is given, each source
+ * stream must be sorted the same way, and the merged stream is sorted.  Otherwise, the documents of each
+ * source stream are streamed in turn.  If the merged stream ends before the source streams, such as
+ * when the limit is reached or a source stream errors, the source streams are destroyed.
+ *
+ * @class MergeStream
+ * @constructor
+ * @param {DocumentStream[]} streams - Source streams
+ * @param {Object} [options]
+ *   @param {String[]} options.sort - The sort of the source streams, as in the `sort` option to `find()`
+ *   @param {Number} options.skip - Number of merged documents to skip
+ *   @param {Number} options.limit - Maximum number of merged documents to stream
+ *   @param {String[]} options.removeFields - Fields to remove from documents once they are merged, such as
+ *     sort fields that were only requested for merging
+ */
+class MergeStream extends Readable {
+
+	constructor(streams, options = {}) {
+		super({ objectMode: true });
+		this._mergeStream = {
+			streams,
+			readers: streams.map((stream) => new StreamReader(stream)),
+			// The next document of each source stream, or null for ended streams
+			heads: null,
+			compare: createSortFn(options.sort, (doc, field) => objtools.getPath(getData(doc), field)),
+			skip: options.skip || 0,
+			limit: options.limit || null,
+			removeFields: options.removeFields || [],
+			numPushed: 0
+		};
+	}
+
+	_read() {
+		let state = this._mergeStream;
+		if (state.limit !== null && state.numPushed >= state.limit) {
+			// The sources may still have documents, which are no longer needed
+			this._destroySources();
+			this.push(null);
+			return;
+		}
+		let readNext = () => {
+			return this._next()
+				.then((doc) => {
+					if (doc && state.skip > 0) {
+						state.skip--;
+						return readNext();
+					}
+					return doc;
+				});
+		};
+		readNext()
+			.then((doc) => {
+				if (!doc) {
+					this.push(null);
+					return;
+				}
+				for (let field of state.removeFields) {
+					objtools.deletePath(getData(doc), field);
+				}
+				state.numPushed++;
+				this.push(doc);
+			}, (err) => {
+				this.destroy(err);
+			});
+	}
+
+	_destroy(err, cb) {
+		this._destroySources();
+		cb(err);
+	}
+
+	/**
+	 * Destroys the source streams, so they stop reading documents once the merged stream ends early.
+	 *
+	 * @method _destroySources
+	 * @private
+	 */
+	_destroySources() {
+		for (let stream of this._mergeStream.streams) {
+			if (!stream.destroyed) stream.destroy();
+		}
+	}
+
+	/**
+	 * Reads the next document in merged order.
+	 *
+	 * @method _next
+	 * @private
+	 * @return {Promise} - Resolves with the document, or null if all source streams have ended
+	 */
+	_next() {
+		let state = this._mergeStream;
+		let headsPromise = state.heads ? Promise.resolve() : Promise.all(state.readers.map((reader) => reader.next()))
+			.then((heads) => {
+				state.heads = heads;
+			});
+		return headsPromise.then(() => {
+			// Find the first document in sort order, preferring earlier sources for equal documents
+			let nextIdx = -1;
+			state.heads.forEach((head, idx) => {
+				if (head === null) return;
+				if (nextIdx === -1 || state.compare(head, state.heads[nextIdx]) < 0) nextIdx = idx;
+			});
+			if (nextIdx === -1) return null;
+			let doc = state.heads[nextIdx];
+			return state.readers[nextIdx].next()
+				.then((head) => {
+					state.heads[nextIdx] = head;
+					return doc;
+				});
+		});
+	}
+
+	/**
+	 * Returns the sum of the totals of the source streams.
+	 *
+	 * @method getTotal
+	 * @return {Promise}
+	 */
+	getTotal() {
+		return Promise.all(this._mergeStream.streams.map((stream) => stream.getTotal()))
+			.then((totals) => _.sum(totals));
+	}
+
+}
+
+inherits(MergeStream, DocumentStream);
+
+function getData(doc) {
+	return _.isFunction(doc.getData) ? doc.getData() : doc;
+}
+
+module.exports = MergeStream;
@@ -0,0 +1,142 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const objtools = require('objtools');
+const { createAggregate } = require('common-query');
+const { compareValues, createSortFn } = require('../utils/sort');
+
+/**
+ * Helpers for combining the aggregate results of several models in `UnionModel` .
+ */
+
+/**
+ * Returns the data of an aggregate spec, normalized by common-query.
+ *
+ * @method getAggregateData
+ * @param {Aggregate|Object} aggregate
+ * @return {Object}
+ */
+function getAggregateData(aggregate) {
+	if (_.isFunction(aggregate.getData)) return aggregate.getData();
+	return createAggregate(aggregate).getData();
+}
+
+/**
+ * Returns the aggregate spec to execute on each source model.  Averages and standard deviations
+ * cannot be combined without the number of values each was computed from, so these stats
+ * additionally request counts and averages.
+ *
+ * @method getSourceAggregate
+ * @param {Object} aggregateData - Normalized aggregate spec
+ * @return {Object}
+ */
+function getSourceAggregate(aggregateData) {
+	let sourceAggregate = objtools.deepCopy(aggregateData);
+	_.forEach(sourceAggregate.stats, (mask) => {
+		if (mask.avg || mask.stddev) {
+			mask.count = true;
+			mask.avg = true;
+		}
+	});
+	return sourceAggregate;
+}
+
+/**
+ * Combines the stats results of a single field from several sources.
+ *
+ * @method combineFieldStats
+ * @private
+ * @param {Object} mask - The requested stats for the field
+ * @param {Object[]} fieldResults - Results of each source for the field
+ * @return {Object}
+ */
+function combineFieldStats(mask, fieldResults) {
+	let result = {};
+	if (mask.count) result.count = _.sumBy(fieldResults, (fieldResult) => fieldResult.count || 0);
+	if (mask.min) {
+		let mins = fieldResults.map((fieldResult) => fieldResult.min).filter((min) => min !== undefined);
+		if (mins.length) result.min = mins.reduce((a, b) => (compareValues(b, a) < 0 ? b : a));
+	}
+	if (mask.max) {
+		let maxes = fieldResults.map((fieldResult) => fieldResult.max).filter((max) => max !== undefined);
+		if (maxes.length) result.max = maxes.reduce((a, b) => (compareValues(b, a) > 0 ? b : a));
+	}
+	if (mask.sum) result.sum = _.sumBy(fieldResults, (fieldResult) => fieldResult.sum || 0);
+	if (mask.avg || mask.stddev) {
+		let averaged = fieldResults.filter((fieldResult) => fieldResult.avg !== undefined);
+		let count = _.sumBy(averaged, 'count');
+		if (count) {
+			let avg = _.sumBy(averaged, (fieldResult) => fieldResult.avg * fieldResult.count) / count;
+			if (mask.avg) result.avg = avg;
+			if (mask.stddev) {
+				// The combined variance is the mean of each source's mean square, less the square of the mean
+				let meanSquare = _.sumBy(averaged, ({ count: n, avg: mean, stddev }) => {
+					return n * (stddev * stddev + mean * mean);
+				}) / count;
+				result.stddev = Math.sqrt(Math.max(meanSquare - avg * avg, 0));
+			}
+		}
+	}
+	return result;
+}
+
+/**
+ * Combines the results of a non-grouped aggregate, or of a single group, from several sources.
+ *
+ * @method combineEntries
+ * @private
+ * @param {Object} aggregateData - Normalized aggregate spec
+ * @param {Object[]} entries - Result entries of each source
+ * @return {Object}
+ */
+function combineEntries(aggregateData, entries) {
+	let result = {};
+	if (aggregateData.stats) {
+		result.stats = {};
+		for (let field in aggregateData.stats) {
+			let fieldResults = entries.map((entry) => (entry.stats && entry.stats[field]) || {});
+			result.stats[field] = combineFieldStats(aggregateData.stats[field], fieldResults);
+		}
+	}
+	if (aggregateData.total) result.total = _.sumBy(entries, (entry) => entry.total || 0);
+	return result;
+}
+
+/**
+ * Combines the results of an aggregate from several sources.  Groups with the same key are combined,
+ * and grouped results are sorted and limited according to the options.
+ *
+ * @method combineAggregateResults
+ * @param {Object} aggregateData - Normalized aggregate spec
+ * @param {Array} results - The aggregate result of each source
+ * @param {Object} [options] - Options passed to `aggregate()`
+ *   @param {Number} options.limit - Maximum number of grouped result entries to return
+ *   @param {String[]} options.sort - Fields of result entries to sort grouped results by.  By default,
+ *     grouped results are sorted by key.
+ * @return {Object|Object[]} - The combined aggregate result
+ */
+function combineAggregateResults(aggregateData, results, options = {}) {
+	if (!aggregateData.groupBy) return combineEntries(aggregateData, results);
+
+	let groups = new Map();
+	for (let entry of _.flatten(results)) {
+		let hash = objtools.objectHash(entry.key);
+		if (!groups.has(hash)) groups.set(hash, { key: entry.key, entries: [] });
+		groups.get(hash).entries.push(entry);
+	}
+	let combined = [];
+	for (let { key, entries } of groups.values()) {
+		combined.push(_.assign({ key }, combineEntries(aggregateData, entries)));
+	}
+	combined.sort(createSortFn(options.sort || [ 'key' ]));
+	if (options.limit) combined = combined.slice(0, options.limit);
+	return combined;
+}
+
+module.exports = {
+	getAggregateData,
+	getSourceAggregate,
+	combineAggregateResults
+};
@@ -0,0 +1,255 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const XError = require('xerror');
+const objtools = require('objtools');
+const Model = require('../base/model');
+const MergeStream = require('./merge-stream');
+const { parseSort } = require('../utils/sort');
+const { getKeyLookup } = require('../utils/keys');
+const { getAggregateData, getSourceAggregate, combineAggregateResults } = require('./union-aggregate');
+
+// Levels of support for operations, from weakest to strongest
+const OPERATION_LEVELS = [ 'unsupported', 'emulated', 'native' ];
+
+/**
+ * A model that presents several models with compatible schemas, such as shards or live and
+ * archive collections, as a single model.
+ *
+ * Reads query all source models and combine the results.  `find()` and `findStream()` merge the results
+ * of each source according to the `sort` option, and apply `skip` and `limit` to the merged results.
+ * `count()` and `aggregate()` combine the partial results of each source.
+ *
+ * Inserts are routed to the source model chosen by the `route` option.  Updates, upserts and removes
+ * with queries matching exact values of all key fields are routed the same way, and other updates and
+ * removes are applied to all source models.
+ *
+ * `getCapabilities()` reports the capabilities shared by all source models.
+ *
+ * @class UnionModel
+ * @constructor
+ * @param {String} name - The name of the model, as returned by `getName()`
+ * @param {Model[]} models - The source models.  Keys are taken from the first model.
+ * @param {Object} [options]
+ *   @param {Function} options.route - Function that chooses the model to write a document to.  It is
+ *     called with an object containing the document's key fields, and the document data if available,
+ *     and returns one of the source models or its index.  By default, documents are written to the
+ *     first model.
+ */
+class UnionModel extends Model {
+
+	constructor(name, models, options = {}) {
+		if (!_.isArray(models) || !models.length || !models.every((model) => Model.isModel(model))) {
+			throw new XError(XError.INVALID_ARGUMENT, 'UnionModel requires an array of models');
+		}
+		super(options);
+		this._name = name;
+		this.models = models;
+	}
+
+	/**
+	 * Returns the source models.
+	 *
+	 * @method getModels
+	 * @since v2.1.0
+	 * @return {Model[]}
+	 */
+	getModels() {
+		return this.models;
+	}
+
+	/**
+	 * Returns the source model that a document with the given data is written to.
+	 *
+	 * @method getTargetModel
+	 * @since v2.1.0
+	 * @throws {XError} - With code `INTERNAL_ERROR` if the route function returns an invalid model
+	 * @param {Object} data - Document data, or an object containing only the key fields
+	 * @return {Model}
+	 */
+	getTargetModel(data) {
+		if (!this.modelOptions.route) return this.models[0];
+		let keys = {};
+		for (let key of this.getKeys()) {
+			let value = objtools.getPath(data, key);
+			if (value !== undefined) objtools.setPath(keys, key, value);
+		}
+		let target = this.modelOptions.route(keys, data);
+		if (_.isNumber(target)) target = this.models[target];
+		if (!_.includes(this.models, target)) {
+			throw new XError(XError.INTERNAL_ERROR, 'UnionModel route function returned an invalid model', { keys });
+		}
+		return target;
+	}
+
+	getName() {
+		return this._name;
+	}
+
+	getKeys() {
+		return this.models[0].getKeys();
+	}
+
+	getCapabilities() {
+		let capabilities = super.getCapabilities();
+		let sourceCapabilities = this.models.map((model) => model.getCapabilities());
+		// Operations are passed on to the source models, so each is only as capable as the weakest source
+		for (let method in capabilities.operations) {
+			let levels = sourceCapabilities.map((sourceCapability) => {
+				return sourceCapability.operations[method] || 'unsupported';
+			});
+			levels.push(capabilities.operations[method]);
+			capabilities.operations[method] = _.minBy(levels, (level) => OPERATION_LEVELS.indexOf(level));
+		}
+		for (let field of [ 'queryOperators', 'aggregateTypes' ]) {
+			let sourceValues = sourceCapabilities.map((sourceCapability) => sourceCapability[field]);
+			capabilities[field] = _.intersection(capabilities[field], ...sourceValues);
+		}
+		// Skip, limit and cursors are applied to the merged results, and other find options by the sources
+		for (let option of [ 'total', 'sort', 'fields' ]) {
+			capabilities.findOptions[option] = capabilities.findOptions[option] &&
+				sourceCapabilities.every((sourceCapability) => sourceCapability.findOptions[option]);
+		}
+		capabilities.transactions = {
+			atomicDocumentWrites: sourceCapabilities.every((sourceCapability) => {
+				return sourceCapability.transactions.atomicDocumentWrites;
+			}),
+			// Writes to several source models are not atomic
+			atomicMultiDocumentWrites: this.models.length === 1 &&
+				sourceCapabilities[0].transactions.atomicMultiDocumentWrites
+		};
+		return capabilities;
+	}
+
+	findStream(query, options = {}) {
+		let sourceOptions = _.omit(options, [ 'skip', 'limit' ]);
+		// Each source must return enough documents to fill the merged page
+		if (options.limit) sourceOptions.limit = (options.skip || 0) + options.limit;
+		// Sort fields are needed to merge the results, so request them and remove them afterwards
+		let removeFields = [];
+		if (options.fields && options.sort) {
+			removeFields = parseSort(options.sort)
+				.map(({ field }) => field)
+				.filter((field) => !options.fields.some((selected) => {
+					return field === selected || _.startsWith(field, selected + '.');
+				}));
+			sourceOptions.fields = options.fields.concat(removeFields);
+		}
+		return new MergeStream(this.models.map((model) => model.findStream(query, sourceOptions)), {
+			sort: options.sort,
+			skip: options.skip,
+			limit: options.limit,
+			removeFields
+		});
+	}
+
+	count(query, options = {}) {
+		return Promise.all(this.models.map((model) => model.count(query, options)))
+			.then((counts) => _.sum(counts));
+	}
+
+	aggregateMulti(query, aggregates, options = {}) {
+		let aggregateDatas = _.mapValues(aggregates, getAggregateData);
+		let sourceAggregates = _.mapValues(aggregateDatas, getSourceAggregate);
+		// Groups from each source must be combined before sorting and limiting
+		let sourceOptions = _.omit(options, [ 'sort', 'limit' ]);
+		return Promise.all(this.models.map((model) => model.aggregateMulti(query, sourceAggregates, sourceOptions)))
+			.then((sourceResults) => {
+				return _.mapValues(aggregateDatas, (aggregateData, key) => {
+					let results = sourceResults.map((resultMap) => resultMap[key]);
+					return combineAggregateResults(aggregateData, results, options);
+				});
+			});
+	}
+
+	create(data = {}) {
+		return this.getTargetModel(data).create(data);
+	}
+
+	insert(data, options = {}) {
+		return Promise.resolve()
+			.then(() => this.getTargetModel(data).insert(data, options));
+	}
+
+	insertMulti(datas, options = {}) {
+		return Promise.resolve()
+			.then(() => {
+				// Insert the documents for each target model together
+				let targets = new Map();
+				datas.forEach((data, idx) => {
+					let target = this.getTargetModel(data);
+					if (!targets.has(target)) targets.set(target, []);
+					targets.get(target).push(idx);
+				});
+				let results = new Array(datas.length);
+				return Promise.all(Array.from(targets, ([ target, indexes ]) => {
+					return target.insertMulti(indexes.map((idx) => datas[idx]), options)
+						.then((targetResults) => {
+							indexes.forEach((idx, resultIdx) => {
+								results[idx] = targetResults ? targetResults[resultIdx] : undefined;
+							});
+						});
+				}))
+					.then(() => results);
+			});
+	}
+
+	update(query, update, options = {}) {
+		return this._writeAll(query, (model) => model.update(query, update, options));
+	}
+
+	upsert(query, update, options = {}) {
+		let target = this._getQueryTarget(query, options);
+		if (target) return target.upsert(query, update, options);
+		return super.upsert(query, update, options);
+	}
+
+	remove(query, options = {}) {
+		return this._writeAll(query, (model) => model.remove(query, options));
+	}
+
+	/**
+	 * Returns the model that documents matching a query are routed to, if the query matches exact
+	 * values of all key fields.
+	 *
+	 * @method _getQueryTarget
+	 * @private
+	 * @param {Query|Object} query
+	 * @param {Object} options
+	 * @return {Model|null}
+	 */
+	_getQueryTarget(query, options = {}) {
+		let keyValues = getKeyLookup(query, this.getKeys(), options);
+		if (!keyValues) return null;
+		let keyData = {};
+		for (let key in keyValues) {
+			objtools.setPath(keyData, key, keyValues[key]);
+		}
+		return this.getTargetModel(keyData);
+	}
+
+	/**
+	 * Performs a write on the model a query is routed to, or otherwise on all source models.
+	 *
+	 * @method _writeAll
+	 * @private
+	 * @param {Query|Object} query
+	 * @param {Function} fn - Function that is called with each model and performs the write
+	 * @return {Promise} - Resolves with the total number of documents affected, if the models report it
+	 */
+	_writeAll(query, fn) {
+		return Promise.resolve()
+			.then(() => {
+				let target = this._getQueryTarget(query);
+				return Promise.all((target ? [ target ] : this.models).map((model) => fn(model)));
+			})
+			.then((results) => {
+				return results.every(_.isNumber) ? _.sum(results) : undefined;
+			});
+	}
+
+}
+
+module.exports = UnionModel;
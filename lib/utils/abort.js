@@ -0,0 +1,96 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const XError = require('xerror');
+
+// Operations are rejected with this code when their `signal` option is aborted
+XError.registerErrorCode('aborted', { message: 'The operation was aborted', http: 499 });
+
+/**
+ * Creates the error that aborted operations reject with.  If the signal was aborted with an Error
+ * as its reason, it is attached as the cause.
+ *
+ * @method createAbortError
+ * @param {AbortSignal} signal
+ * @return {XError} - With code `aborted`
+ */
+function createAbortError(signal) {
+	let cause = (signal && signal.reason instanceof Error) ? signal.reason : undefined;
+	return new XError(XError.ABORTED, 'The operation was aborted', {}, cause);
+}
+
+/**
+ * Throws if a signal has been aborted.
+ *
+ * @method checkAborted
+ * @throws {XError} - With code `aborted` if the signal has been aborted
+ * @param {AbortSignal} [signal]
+ */
+function checkAborted(signal) {
+	if (signal && signal.aborted) throw createAbortError(signal);
+}
+
+/**
+ * Calls a function once a signal is aborted.
+ *
+ * @method onAbort
+ * @param {AbortSignal} signal
+ * @param {Function} fn
+ * @return {Function} - Function that removes the listener
+ */
+function onAbort(signal, fn) {
+	signal.addEventListener('abort', fn, { once: true });
+	return () => signal.removeEventListener('abort', fn);
+}
+
+/**
+ * Returns a promise that settles like the given promise, but rejects if the signal is aborted first.
+ *
+ * @method abortable
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @return {Promise}
+ */
+function abortable(promise, signal) {
+	if (!signal) return promise;
+	return new Promise((resolve, reject) => {
+		let removeListener = onAbort(signal, () => reject(createAbortError(signal)));
+		promise.then((result) => {
+			removeListener();
+			resolve(result);
+		}, (err) => {
+			removeListener();
+			reject(err);
+		});
+	});
+}
+
+/**
+ * Destroys a stream with an abort error when a signal is aborted.  The listener is removed once the
+ * stream ends or closes.
+ *
+ * @method abortableStream
+ * @param {Readable} stream
+ * @param {AbortSignal} [signal]
+ * @return {Readable} - The same stream
+ */
+function abortableStream(stream, signal) {
+	if (!signal) return stream;
+	if (signal.aborted) {
+		process.nextTick(() => stream.destroy(createAbortError(signal)));
+		return stream;
+	}
+	let removeListener = onAbort(signal, () => stream.destroy(createAbortError(signal)));
+	stream.once('end', removeListener);
+	stream.once('close', removeListener);
+	return stream;
+}
+
+module.exports = {
+	createAbortError,
+	checkAborted,
+	onAbort,
+	abortable,
+	abortableStream
+};
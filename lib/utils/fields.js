@@ -0,0 +1,36 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const objtools = require('objtools');
+
+/**
+ * Selects fields from document data.
+ *
+ * @method selectFields
+ * @param {Object} data - Document data.  This may be modified.
+ * @param {Object} [options]
+ *   @param {String[]} options.include - If given, only these fields are returned
+ *   @param {String[]} options.exclude - Fields to remove
+ * @return {Object} - The selected data
+ */
+function selectFields(data, options = {}) {
+	if (options.include) {
+		let selectedData = {};
+		for (let path of options.include) {
+			let value = objtools.getPath(data, path);
+			if (value !== undefined) objtools.setPath(selectedData, path, value);
+		}
+		data = selectedData;
+	}
+	if (options.exclude) {
+		for (let path of options.exclude) {
+			if (objtools.getPath(data, path) !== undefined) objtools.deletePath(data, path);
+		}
+	}
+	return data;
+}
+
+module.exports = {
+	selectFields
+};
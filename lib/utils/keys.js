@@ -0,0 +1,43 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const { createQuery } = require('common-query');
+
+/**
+ * Returns the values of a model's key fields if a query only matches documents with specific
+ * values for all of them.
+ *
+ * @method getKeyLookup
+ * @param {Query|Object} query
+ * @param {String[]} keys - The model's key fields
+ * @param {Object} [options] - Options for creating the query, if it is a plain object
+ * @return {Object|null} - Map from key fields to the values matched, or null if the query is not
+ *   an exact match on all key fields
+ */
+function getKeyLookup(query, keys, options = {}) {
+	if (!keys.length) return null;
+	if (_.isPlainObject(query)) query = createQuery(query, options);
+	let exactMatches = query.getExactMatches().exactMatches;
+	if (!keys.every((key) => exactMatches[key] !== undefined)) return null;
+	return _.pick(exactMatches, keys);
+}
+
+/**
+ * Returns true if a query only matches documents with specific values for all key fields.
+ *
+ * @method isKeyLookup
+ * @param {Query|Object} query
+ * @param {String[]} keys - The model's key fields
+ * @param {Object} [options] - Options for creating the query, if it is a plain object
+ * @return {Boolean}
+ */
+function isKeyLookup(query, keys, options = {}) {
+	return getKeyLookup(query, keys, options) !== null;
+}
+
+module.exports = {
+	getKeyLookup,
+	isKeyLookup
+};
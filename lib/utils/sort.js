@@ -0,0 +1,93 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const objtools = require('objtools');
+
+// Relative ordering of values of different types.  Missing values sort first.
+const TYPE_ORDER = [ 'missing', 'boolean', 'number', 'string', 'date', 'array', 'object' ];
+
+function getTypeRank(value) {
+	if (value === null || value === undefined) return TYPE_ORDER.indexOf('missing');
+	if (value instanceof Date) return TYPE_ORDER.indexOf('date');
+	if (Array.isArray(value)) return TYPE_ORDER.indexOf('array');
+	let rank = TYPE_ORDER.indexOf(typeof value);
+	return (rank === -1) ? TYPE_ORDER.indexOf('object') : rank;
+}
+
+/**
+ * Compares two arbitrary document values in a consistent order, suitable for sorting.
+ * Values of different types are ordered by type; missing values always sort first.
+ *
+ * @method compareValues
+ * @param {*} a
+ * @param {*} b
+ * @return {Number} - Negative if a < b, positive if a > b, or 0 if they are equal
+ */
+function compareValues(a, b) {
+	let rankA = getTypeRank(a);
+	let rankB = getTypeRank(b);
+	if (rankA !== rankB) return rankA - rankB;
+	if (a === null || a === undefined) return 0;
+	if (a instanceof Date) {
+		a = a.getTime();
+		b = b.getTime();
+	}
+	if (Array.isArray(a)) {
+		for (let i = 0; i < a.length && i < b.length; i++) {
+			let result = compareValues(a[i], b[i]);
+			if (result !== 0) return result;
+		}
+		return a.length - b.length;
+	}
+	if (typeof a === 'object') {
+		return compareValues(objtools.objectHash(a), objtools.objectHash(b));
+	}
+	if (a < b) return -1;
+	if (a > b) return 1;
+	return 0;
+}
+
+/**
+ * Parses a sort spec, as given in the `sort` option to `find()`, into a list of fields and directions.
+ *
+ * @method parseSort
+ * @param {String[]} [sort] - Array of field names, each optionally prefixed with '-'
+ * @return {Object[]} - Array of objects in the form `{ field: 'foo', direction: -1 }`
+ */
+function parseSort(sort = []) {
+	return sort.map((sortField) => {
+		if (sortField[0] === '-') {
+			return { field: sortField.slice(1), direction: -1 };
+		} else {
+			return { field: sortField, direction: 1 };
+		}
+	});
+}
+
+/**
+ * Creates a comparison function, for use with `Array#sort()`, that orders objects according
+ * to a sort spec.
+ *
+ * @method createSortFn
+ * @param {String[]} [sort] - Array of field names, each optionally prefixed with '-'
+ * @param {Function} [getValue] - Function to get a field value from an item, with the signature
+ *   `getValue(item, field)`.  Defaults to `objtools.getPath()`.
+ * @return {Function} - Comparison function
+ */
+function createSortFn(sort, getValue = objtools.getPath) {
+	let sortSpec = parseSort(sort);
+	return function(a, b) {
+		for (let { field, direction } of sortSpec) {
+			let result = compareValues(getValue(a, field), getValue(b, field));
+			if (result !== 0) return result * direction;
+		}
+		return 0;
+	};
+}
+
+module.exports = {
+	compareValues,
+	parseSort,
+	createSortFn
+};
@@ -0,0 +1,126 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const chai = require('chai');
+const expect = chai.expect;
+const XError = require('xerror');
+const { Model, CachedModel, MemoryModel, LRUCacheStore } = require('../lib');
+
+chai.use(require('chai-as-promised'));
+
+describe('CachedModel', function() {
+	let backingModel, model, numFinds;
+	beforeEach(function() {
+		backingModel = new MemoryModel('Animals', {
+			id: { type: String, key: true },
+			animalType: String,
+			name: String,
+			age: Number
+		});
+		numFinds = 0;
+		let find = backingModel.find;
+		backingModel.find = function(...args) {
+			numFinds++;
+			return find.apply(this, args);
+		};
+		model = new CachedModel(backingModel);
+		return backingModel.insertMulti([
+			{ id: 'a', animalType: 'cat', name: 'Toby', age: 5 },
+			{ id: 'b', animalType: 'dog', name: 'Ruff', age: 2 },
+			{ id: 'c', animalType: 'cat', name: 'Felix', age: 9 }
+		]);
+	});
+
+	it('should be a Model', function() {
+		expect(Model.isModel(model)).to.be.true;
+		expect(model.getName()).to.equal('Animals');
+		expect(model.getKeys()).to.deep.equal([ 'id' ]);
+		expect(model.getType()).to.equal('MemoryModel');
+	});
+
+	it('should cache findOne() and key lookups', function() {
+		return model.findOne({ id: 'a' })
+			.then((doc) => {
+				expect(doc.data.name).to.equal('Toby');
+				// Changes to returned documents do not affect the cache
+				doc.data.name = 'Changed';
+				return model.findOne({ id: 'a' });
+			})
+			.then((doc) => {
+				expect(doc.data.name).to.equal('Toby');
+				expect(numFinds).to.equal(1);
+				return model.find({ id: 'b' });
+			})
+			.then(() => model.find({ id: 'b' }))
+			.then((docs) => {
+				expect(docs[0].data.name).to.equal('Ruff');
+				expect(numFinds).to.equal(2);
+				// Other queries are not cached
+				return model.find({ animalType: 'cat' });
+			})
+			.then(() => model.find({ animalType: 'cat' }))
+			.then(() => expect(numFinds).to.equal(4));
+	});
+
+	it('should cache counts and aggregates', function() {
+		let aggregate = { stats: { age: { max: true } } };
+		return model.count({ animalType: 'cat' })
+			.then(() => model.count({ animalType: 'cat' }))
+			.then((count) => {
+				expect(count).to.equal(2);
+				return model.aggregate({ animalType: 'cat' }, aggregate);
+			})
+			.then(() => backingModel.insert({ id: 'd', animalType: 'cat', name: 'Tom', age: 12 }))
+			.then(() => model.aggregate({ animalType: 'cat' }, aggregate))
+			.then((result) => expect(result.stats.age.max).to.equal(9));
+	});
+
+	it('should invalidate the cache on writes', function() {
+		return model.count({ animalType: 'cat' })
+			.then(() => model.insert({ id: 'd', animalType: 'cat', name: 'Tom' }))
+			.then(() => model.count({ animalType: 'cat' }))
+			.then((count) => {
+				expect(count).to.equal(3);
+				return model.update({ id: 'a' }, { name: 'Tobias' });
+			})
+			.then(() => model.findOne({ id: 'a' }))
+			.then((doc) => {
+				expect(doc.data.name).to.equal('Tobias');
+				// Saving documents of the wrapped model also invalidates the cache
+				doc.data.name = 'Toby';
+				return doc.save();
+			})
+			.then(() => model.findOne({ id: 'a' }))
+			.then((doc) => {
+				expect(doc.data.name).to.equal('Toby');
+				return model.remove({ animalType: 'cat' });
+			})
+			.then(() => model.count({ animalType: 'cat' }))
+			.then((count) => expect(count).to.equal(0));
+	});
+
+	it('should reject invalid queries', function() {
+		let query = { age: { $foo: 1 } };
+		return Promise.all([
+			expect(model.find(query)).to.be.rejectedWith(XError),
+			expect(model.findOne(query)).to.be.rejectedWith(XError),
+			expect(model.count(query)).to.be.rejectedWith(XError),
+			expect(model.aggregate(query, { stats: { age: { max: true } } })).to.be.rejectedWith(XError)
+		]);
+	});
+
+	describe('LRUCacheStore', function() {
+		it('should evict the least recently used entries', function() {
+			let store = new LRUCacheStore({ maxSize: 2 });
+			store.set('a', 1);
+			store.set('b', 2);
+			expect(store.get('a')).to.equal(1);
+			store.set('c', 3);
+			expect(store.get('b')).to.equal(undefined);
+			expect(store.get('a')).to.equal(1);
+			expect(store.get('c')).to.equal(3);
+			expect(store.size).to.equal(2);
+		});
+	});
+});
@@ -0,0 +1,41 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const conformance = require('../conformance');
+const { Model, MemoryModel, UnionModel } = require('../lib');
+
+conformance((name, schema) => new MemoryModel(name, schema), { name: 'MemoryModel conformance' });
+
+// A model implementing only findStream() and insert(), to check the default implementations
+class StreamingModel extends Model {
+
+	constructor(name, schema) {
+		super();
+		this.model = new MemoryModel(name, schema);
+	}
+
+	getName() {
+		return this.model.getName();
+	}
+
+	getKeys() {
+		return this.model.getKeys();
+	}
+
+	findStream(query, options = {}) {
+		return this.model.findStream(query, options);
+	}
+
+	insert(data, options = {}) {
+		return this.model.insert(data, options);
+	}
+
+}
+
+conformance((name, schema) => new StreamingModel(name, schema), { name: 'Default implementation conformance' });
+
+conformance((name, schema) => {
+	let models = [ new MemoryModel(name + 'Even', schema), new MemoryModel(name + 'Odd', schema) ];
+	return new UnionModel(name, models, { route: (keys) => keys.id % 2 });
+}, { name: 'UnionModel conformance' });
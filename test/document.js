@@ -0,0 +1,59 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const expect = require('chai').expect;
+const { Document } = require('../lib');
+
+describe('Document', function() {
+	it('should not be modified when constructed', function() {
+		let doc = new Document(null, { foo: 'bar', baz: { qux: 1 } });
+		expect(doc.isModified()).to.be.false;
+		expect(doc.getModifiedPaths()).to.deep.equal([]);
+		expect(doc.getChanges()).to.deep.equal({});
+	});
+
+	it('should not be affected by changes to the original data object', function() {
+		let data = { foo: 'bar' };
+		let doc = new Document(null, data);
+		data.foo = 'baz';
+		expect(doc.isModified('foo')).to.be.true;
+	});
+
+	it('should track modified paths', function() {
+		let doc = new Document(null, { foo: 'bar', baz: { qux: 1, quux: 2 }, old: true });
+		doc.data.baz.qux = 2;
+		doc.data.added = [ 1 ];
+		delete doc.data.old;
+		expect(doc.isModified()).to.be.true;
+		expect(doc.isModified('baz')).to.be.true;
+		expect(doc.isModified('baz.qux')).to.be.true;
+		expect(doc.isModified('baz.quux')).to.be.false;
+		expect(doc.isModified('foo')).to.be.false;
+		expect(doc.getModifiedPaths().sort()).to.deep.equal([ 'added', 'baz.qux', 'old' ]);
+		expect(doc.getChanges()).to.deep.equal({
+			$set: { 'baz.qux': 2, added: [ 1 ] },
+			$unset: { old: true }
+		});
+	});
+
+	it('should reset changes', function() {
+		let doc = new Document(null, { foo: 'bar' });
+		doc.data.foo = 'baz';
+		doc.resetChanges();
+		expect(doc.isModified()).to.be.false;
+		doc.data.foo = 'bar';
+		expect(doc.getChanges()).to.deep.equal({ $set: { foo: 'bar' } });
+	});
+
+	it('should serialize selected fields', function() {
+		let doc = new Document(null, { foo: 'bar', baz: { qux: 1, quux: 2 }, date: new Date(0) });
+		let obj = doc.toObject({ include: [ 'baz', 'date' ], exclude: [ 'baz.quux' ] });
+		expect(obj).to.deep.equal({ baz: { qux: 1 }, date: new Date(0) });
+		obj.baz.qux = 2;
+		expect(doc.data.baz.qux).to.equal(1);
+		expect(JSON.parse(JSON.stringify({ doc }))).to.deep.equal({
+			doc: { foo: 'bar', baz: { qux: 1, quux: 2 }, date: '1970-01-01T00:00:00.000Z' }
+		});
+	});
+});
@@ -0,0 +1,631 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const chai = require('chai');
+const expect = chai.expect;
+const XError = require('xerror');
+const { Model, SchemaModel, MemoryModel, MemoryDocument, ModelRegistry } = require('../lib');
+
+chai.use(require('chai-as-promised'));
+
+describe('MemoryModel', function() {
+	const animalSchema = {
+		id: { type: String, key: true },
+		animalType: String,
+		name: { type: String, required: true },
+		age: Number,
+		found: Date
+	};
+
+	const animals = [
+		{ id: 'a', animalType: 'cat', name: 'Toby', age: 5, found: new Date('2015-01-03T00:00:00Z') },
+		{ id: 'b', animalType: 'dog', name: 'Ruff', age: 2, found: new Date('2015-02-10T00:00:00Z') },
+		{ id: 'c', animalType: 'cat', name: 'Felix', age: 9, found: new Date('2015-02-11T00:00:00Z') },
+		{ id: 'd', animalType: 'dog', name: 'Rex', age: 4, found: new Date('2016-05-01T00:00:00Z') }
+	];
+
+	let model;
+	beforeEach(function() {
+		model = new MemoryModel('Animals', animalSchema);
+		return model.insertMulti(animals);
+	});
+
+	it('should be a Model', function() {
+		expect(Model.isModel(model)).to.be.true;
+		expect(model.getName()).to.equal('Animals');
+		expect(model.getType()).to.equal('MemoryModel');
+		expect(model.getKeys()).to.deep.equal([ 'id' ]);
+	});
+
+	it('should find documents matching a query', function() {
+		return model.find({ animalType: 'cat' })
+			.then((results) => {
+				expect(results).to.have.length(2);
+				expect(results[0]).to.be.an.instanceof(MemoryDocument);
+				expect(results.map((doc) => doc.data.name)).to.deep.equal([ 'Toby', 'Felix' ]);
+			});
+	});
+
+	it('should support sort, skip, limit and total', function() {
+		return model.find({}, { sort: [ '-age' ], skip: 1, limit: 2, total: true })
+			.then((results) => {
+				expect(results.map((doc) => doc.data.id)).to.deep.equal([ 'a', 'd' ]);
+				expect(results.total).to.equal(4);
+			});
+	});
+
+	it('should return partial documents when fields are given', function() {
+		return model.findOne({ id: 'b' }, { fields: [ 'name' ] })
+			.then((doc) => {
+				expect(doc.data).to.deep.equal({ name: 'Ruff' });
+				expect(doc.isPartial()).to.be.true;
+				return expect(doc.save()).to.be.rejectedWith(XError);
+			});
+	});
+
+	it('should stream documents', function() {
+		let stream = model.findStream({ age: { $gt: 3 } }, { sort: [ 'age' ] });
+		return stream.intoArray()
+			.then((results) => {
+				expect(results.map((doc) => doc.data.age)).to.deep.equal([ 4, 5, 9 ]);
+				return stream.getTotal();
+			})
+			.then((total) => expect(total).to.equal(3));
+	});
+
+	it('should count documents', function() {
+		return model.count({ animalType: 'dog' })
+			.then((count) => expect(count).to.equal(2));
+	});
+
+	it('should normalize queries', function() {
+		return model.count({ age: '5' })
+			.then((count) => expect(count).to.equal(1));
+	});
+
+	it('should not share data between documents and stored records', function() {
+		return model.findOne({ id: 'a' })
+			.then((doc) => {
+				doc.data.name = 'Changed';
+				return model.findOne({ id: 'a' });
+			})
+			.then((doc) => expect(doc.data.name).to.equal('Toby'));
+	});
+
+	it('should save new and existing documents', function() {
+		let doc = model.create({ id: 'e', name: 'Polly', age: '1' });
+		return doc.save()
+			.then(() => model.findOne({ id: 'e' }))
+			.then((doc) => {
+				expect(doc.data.age).to.equal(1);
+				doc.data.age = 2;
+				return doc.save();
+			})
+			.then(() => model.find({ id: 'e' }))
+			.then((results) => {
+				expect(results).to.have.length(1);
+				expect(results[0].data.age).to.equal(2);
+			});
+	});
+
+	it('should reject documents with duplicate keys', function() {
+		return expect(model.insert({ id: 'a', name: 'Duplicate' })).to.be.rejectedWith(XError)
+			.then((err) => expect(err.code).to.equal(XError.ALREADY_EXISTS));
+	});
+
+	it('should validate inserted documents against the schema', function() {
+		return expect(model.insert({ id: 'e' })).to.be.rejected
+			.then(() => model.count({}))
+			.then((count) => expect(count).to.equal(4));
+	});
+
+	it('should call document hooks', function() {
+		let hooksCalled = [];
+		let hooksExpected = [ 'post-init', 'pre-save', 'post-save', 'pre-remove', 'post-remove' ];
+		for (let hookName of hooksExpected) {
+			model.hook(hookName, () => { hooksCalled.push(hookName); });
+		}
+		let doc = model.create({ id: 'e', name: 'Polly' });
+		return doc.save()
+			.then(() => doc.remove())
+			.then(() => {
+				expect(hooksCalled).to.deep.equal(hooksExpected);
+				return model.count({ id: 'e' });
+			})
+			.then((count) => expect(count).to.equal(0));
+	});
+
+	it('should update documents', function() {
+		return model.update({ animalType: 'cat' }, { $inc: { age: 1 } })
+			.then((numUpdated) => {
+				expect(numUpdated).to.equal(2);
+				return model.find({ animalType: 'cat' });
+			})
+			.then((results) => {
+				expect(results.map((doc) => doc.data.age)).to.deep.equal([ 6, 10 ]);
+			});
+	});
+
+	it('should upsert documents', function() {
+		return model.upsert({ id: 'e' }, { name: 'Polly' })
+			.then(() => model.upsert({ id: 'e' }, { age: 3 }))
+			.then(() => model.find({ id: 'e' }))
+			.then((results) => {
+				expect(results).to.have.length(1);
+				expect(results[0].data).to.deep.equal({ id: 'e', name: 'Polly', age: 3 });
+			});
+	});
+
+	it('should remove documents', function() {
+		return model.remove({ animalType: 'dog' })
+			.then((numRemoved) => {
+				expect(numRemoved).to.equal(2);
+				return model.count({});
+			})
+			.then((count) => expect(count).to.equal(2))
+			.then(() => model.insert({ id: 'b', name: 'Ruff again' }));
+	});
+
+	it('should not partially insert batches with duplicate keys', function() {
+		return expect(model.insertMulti([ { id: 'x', name: 'Max' }, { id: 'a', name: 'Toby again' } ]))
+			.to.be.rejectedWith(XError, 'same keys')
+			.then(() => expect(model.insertMulti([
+				{ id: 'y', name: 'Spot' },
+				{ id: 'z', name: 'Rover' },
+				{ id: 'y', name: 'Spot again' }
+			])).to.be.rejectedWith(XError, 'same keys'))
+			.then(() => model.count({}))
+			.then((count) => {
+				expect(count).to.equal(animals.length);
+				return model.count({ id: { $in: [ 'x', 'y', 'z' ] } });
+			})
+			.then((count) => expect(count).to.equal(0));
+	});
+
+	it('should not partially update documents when keys conflict', function() {
+		let changes = model.watch();
+		return expect(model.update({ animalType: 'dog' }, { $set: { id: 'z' } }))
+			.to.be.rejectedWith(XError, 'same keys')
+			.then(() => expect(model.update({ animalType: 'dog' }, { $set: { id: 'a' } }))
+				.to.be.rejectedWith(XError, 'same keys'))
+			.then(() => model.find({}, { sort: [ 'name' ] }))
+			.then((docs) => {
+				expect(docs.map((doc) => doc.data.id)).to.deep.equal([ 'c', 'd', 'b', 'a' ]);
+				changes.close();
+				return changes.intoArray();
+			})
+			.then((changes) => expect(changes).to.deep.equal([]));
+	});
+
+	it('should let updated documents take each other\'s keys', function() {
+		let numberedModel = new MemoryModel('Numbers', { n: { type: Number, key: true } });
+		return numberedModel.insertMulti([ { n: 1 }, { n: 2 } ])
+			.then(() => numberedModel.update({}, { $inc: { n: 1 } }))
+			.then(() => numberedModel.find({}, { sort: [ 'n' ] }))
+			.then((docs) => expect(docs.map((doc) => doc.data.n)).to.deep.equal([ 2, 3 ]));
+	});
+
+	it('should report changes to watchers', function() {
+		let changes = model.watch({ animalType: 'cat' });
+		let doc = model.create({ id: 'e', animalType: 'cat', name: 'Polly' });
+		return doc.save()
+			.then(() => model.update({ id: 'a' }, { age: 6 }))
+			.then(() => model.remove({ animalType: 'cat', age: { $gt: 8 } }))
+			.then(() => model.remove({ animalType: 'dog' }))
+			.then(() => {
+				changes.close();
+				return changes.intoArray();
+			})
+			.then((changes) => {
+				expect(changes.map((change) => [ change.type, change.keys.id ])).to.deep.equal([
+					[ 'insert', 'e' ],
+					[ 'update', 'a' ],
+					[ 'remove', 'c' ]
+				]);
+				expect(changes[1].data.age).to.equal(6);
+			});
+	});
+
+	it('should report each insert to watchers once', function() {
+		let changes = model.watch();
+		return model.insert({ id: 'e', animalType: 'cat', name: 'Polly' })
+			.then(() => model.upsert({ id: 'f' }, { name: 'Max' }))
+			.then(() => model.insertMulti([ { id: 'g', name: 'Spot' } ]))
+			.then(() => {
+				changes.close();
+				return changes.intoArray();
+			})
+			.then((changes) => {
+				expect(changes.map((change) => change.type + change.keys.id)).to.deep.equal([
+					'inserte',
+					'insertf',
+					'insertg'
+				]);
+			});
+	});
+
+	describe('versioning', function() {
+		let versionedModel;
+		beforeEach(function() {
+			versionedModel = new MemoryModel('Animals', {
+				id: { type: String, key: true },
+				name: String,
+				version: Number
+			}, { versionField: 'version' });
+			return versionedModel.insert({ id: 'a', name: 'Toby' });
+		});
+
+		it('should increment versions on write', function() {
+			return versionedModel.findOne({ id: 'a' })
+				.then((doc) => {
+					expect(doc.data.version).to.equal(1);
+					expect(doc.getVersion()).to.equal(1);
+					doc.data.name = 'Tobias';
+					return doc.save();
+				})
+				.then((doc) => {
+					expect(doc.getVersion()).to.equal(2);
+					return versionedModel.update({ id: 'a' }, { name: 'Toby' });
+				})
+				.then(() => versionedModel.findOne({ id: 'a' }))
+				.then((doc) => expect(doc.data.version).to.equal(3));
+		});
+
+		it('should reject conflicting saves', function() {
+			return Promise.all([ versionedModel.findOne({ id: 'a' }), versionedModel.findOne({ id: 'a' }) ])
+				.then(([ doc1, doc2 ]) => {
+					doc1.data.name = 'Tobias';
+					doc2.data.name = 'Tobster';
+					return doc1.save()
+						.then(() => expect(doc2.save()).to.be.rejectedWith(XError));
+				})
+				.then((err) => {
+					expect(err.code).to.equal(XError.CONFLICT);
+					return versionedModel.findOne({ id: 'a' });
+				})
+				.then((doc) => expect(doc.data.name).to.equal('Tobias'));
+		});
+
+		it('should reject conflicting writes in the default update()', function() {
+			class DefaultUpdateModel extends MemoryModel {
+				update(query, update, options) {
+					return SchemaModel.prototype.update.call(this, query, update, options);
+				}
+			}
+			let defaultUpdateModel = new DefaultUpdateModel('Animals', {
+				id: { type: String, key: true },
+				name: String,
+				version: Number
+			}, { versionField: 'version' });
+			// Simulate another writer changing the document while the update is in progress
+			defaultUpdateModel.hook('pre-save', function(doc) {
+				let recordId = doc._memoryId;
+				let storedData = this._records.get(recordId);
+				this._records.set(recordId, { id: storedData.id, name: 'Other', version: storedData.version + 1 });
+			});
+			return defaultUpdateModel.insert({ id: 'a', name: 'Toby' })
+				.then(() => {
+					let promise = defaultUpdateModel.update({ id: 'a' }, { name: 'Tobias' });
+					return expect(promise).to.be.rejectedWith(XError);
+				})
+				.then((err) => expect(err.code).to.equal(XError.CONFLICT));
+		});
+	});
+
+	describe('schema migrations', function() {
+		let migratedModel;
+		beforeEach(function() {
+			migratedModel = new MemoryModel('People', {
+				id: { type: String, key: true },
+				firstName: String,
+				lastName: String,
+				age: Number,
+				schemaVersion: Number
+			}, {
+				schemaVersion: 3,
+				migrations: {
+					// v2 split the name field
+					2: (data) => {
+						let [ firstName, lastName ] = data.name.split(' ');
+						return { id: data.id, firstName, lastName, years: data.years };
+					},
+					// v3 renamed years to age
+					3: (data) => {
+						data.age = data.years;
+						delete data.years;
+					}
+				}
+			});
+			// Store records written with older schema versions
+			migratedModel._storeData(undefined, { id: 'a', name: 'Jane Doe', years: 30 });
+			migratedModel._storeData(undefined, {
+				id: 'b',
+				firstName: 'John',
+				lastName: 'Doe',
+				years: 40,
+				schemaVersion: 2
+			});
+		});
+
+		it('should migrate stale documents when they are loaded', function() {
+			return migratedModel.find({}, { sort: [ 'id' ] })
+				.then((docs) => {
+					expect(docs[0].data).to.deep.equal({
+						id: 'a',
+						firstName: 'Jane',
+						lastName: 'Doe',
+						age: 30,
+						schemaVersion: 3
+					});
+					expect(docs[1].data).to.deep.equal({
+						id: 'b',
+						firstName: 'John',
+						lastName: 'Doe',
+						age: 40,
+						schemaVersion: 3
+					});
+					expect(docs[0].isModified()).to.equal(true);
+				});
+		});
+
+		it('should set the current schema version on new documents', function() {
+			let doc = migratedModel.create({ id: 'c', firstName: 'Joe', age: 20 });
+			expect(doc.data.schemaVersion).to.equal(3);
+			expect(doc.isModified()).to.equal(false);
+			return migratedModel.insert({ id: 'd', firstName: 'Jim' })
+				.then(() => migratedModel.findOne({ id: 'd' }))
+				.then((doc) => expect(doc.data).to.deep.equal({ id: 'd', firstName: 'Jim', schemaVersion: 3 }));
+		});
+
+		it('should migrate stale records before applying updates', function() {
+			return migratedModel.update({ id: 'a' }, { $inc: { age: 1 } })
+				.then(() => expect(migratedModel._records.get(1).age).to.equal(31));
+		});
+
+		it('should rewrite stale documents with migrateAll()', function() {
+			return migratedModel.insert({ id: 'c', firstName: 'Joe' })
+				.then(() => migratedModel.migrateAll())
+				.then((numMigrated) => {
+					expect(numMigrated).to.equal(2);
+					let records = Array.from(migratedModel._records.values());
+					for (let record of records) {
+						expect(record.schemaVersion).to.equal(3);
+					}
+					expect(migratedModel._records.get(1).firstName).to.equal('Jane');
+					return migratedModel.migrateAll();
+				})
+				.then((numMigrated) => expect(numMigrated).to.equal(0));
+		});
+
+		it('should reject with the migration error', function() {
+			migratedModel._storeData(undefined, { id: 'c', years: 50 });
+			return expect(migratedModel.find({ id: 'c' })).to.be.rejectedWith(XError)
+				.then((err) => expect(err.code).to.equal(XError.INTERNAL_ERROR));
+		});
+	});
+
+	it('should execute stats aggregates', function() {
+		return model.aggregate({ animalType: 'cat' }, {
+			stats: {
+				age: { count: true, min: true, max: true, sum: true, avg: true, stddev: true }
+			},
+			total: true
+		})
+			.then((result) => {
+				expect(result).to.deep.equal({
+					stats: {
+						age: { count: 2, min: 5, max: 9, sum: 14, avg: 7, stddev: 2 }
+					},
+					total: 2
+				});
+			});
+	});
+
+	it('should execute grouped aggregates', function() {
+		return model.aggregateMulti({}, {
+			byType: {
+				groupBy: 'animalType',
+				stats: { age: { max: true } },
+				total: true
+			},
+			byAge: {
+				groupBy: { field: 'age', ranges: [ 3, 6 ] },
+				total: true
+			},
+			byInterval: {
+				groupBy: { field: 'age', interval: 4 },
+				total: true
+			},
+			byMonth: {
+				groupBy: { field: 'found', timeComponent: 'month' },
+				total: true
+			}
+		})
+			.then((results) => {
+				expect(results.byType).to.deep.equal([
+					{ key: [ 'cat' ], stats: { age: { max: 9 } }, total: 2 },
+					{ key: [ 'dog' ], stats: { age: { max: 4 } }, total: 2 }
+				]);
+				expect(results.byAge).to.deep.equal([
+					{ key: [ 0 ], total: 1 },
+					{ key: [ 1 ], total: 2 },
+					{ key: [ 2 ], total: 1 }
+				]);
+				expect(results.byInterval).to.deep.equal([
+					{ key: [ 0 ], total: 1 },
+					{ key: [ 4 ], total: 2 },
+					{ key: [ 8 ], total: 1 }
+				]);
+				expect(results.byMonth).to.deep.equal([
+					{ key: [ '2015-01-01T00:00:00.000Z' ], total: 1 },
+					{ key: [ '2015-02-01T00:00:00.000Z' ], total: 2 },
+					{ key: [ '2016-05-01T00:00:00.000Z' ], total: 1 }
+				]);
+			});
+	});
+
+	it('should sort and limit grouped aggregates', function() {
+		return model.aggregate({}, {
+			groupBy: 'name',
+			stats: { age: { max: true } }
+		}, { sort: [ '-stats.age.max' ], limit: 2 })
+			.then((results) => {
+				expect(results.map((entry) => entry.key[0])).to.deep.equal([ 'Felix', 'Toby' ]);
+			});
+	});
+
+	describe('soft delete', function() {
+		let softModel;
+		beforeEach(function() {
+			softModel = new MemoryModel('Animals', {
+				id: { type: String, key: true },
+				name: String,
+				deletedAt: Date
+			}, { softDelete: true });
+			return softModel.insertMulti([
+				{ id: 'a', name: 'Toby' },
+				{ id: 'b', name: 'Ruff' },
+				{ id: 'c', name: 'Felix' }
+			]);
+		});
+
+		it('should mark removed documents as deleted', function() {
+			return softModel.remove({ id: 'a' })
+				.then((numRemoved) => {
+					expect(numRemoved).to.equal(1);
+					return softModel.findOne({ id: 'b' });
+				})
+				.then((doc) => doc.remove())
+				.then(() => softModel.find({}))
+				.then((docs) => {
+					expect(docs.map((doc) => doc.data.id)).to.deep.equal([ 'c' ]);
+					return softModel.find({}, { includeDeleted: true, sort: [ 'id' ] });
+				})
+				.then((docs) => {
+					expect(docs.map((doc) => doc.data.id)).to.deep.equal([ 'a', 'b', 'c' ]);
+					expect(docs[0].data.deletedAt).to.be.an.instanceof(Date);
+					expect(docs[1].data.deletedAt).to.be.an.instanceof(Date);
+					return softModel.count({ id: 'a' });
+				})
+				.then((count) => expect(count).to.equal(0));
+		});
+
+		it('should apply remove hooks to soft deletes', function() {
+			let triggered = [];
+			softModel.hook('pre-remove-operation', (context) => {
+				triggered.push('pre-remove-operation');
+				context.query = { $and: [ context.query, { name: 'Toby' } ] };
+			});
+			softModel.hook('post-remove-operation', () => { triggered.push('post-remove-operation'); });
+			return softModel.remove({})
+				.then(() => softModel.find({}, { sort: [ 'id' ] }))
+				.then((docs) => {
+					expect(docs.map((doc) => doc.data.id)).to.deep.equal([ 'b', 'c' ]);
+					expect(triggered).to.deep.equal([ 'pre-remove-operation', 'post-remove-operation' ]);
+				});
+		});
+
+		it('should restore deleted documents', function() {
+			return softModel.remove({ id: { $in: [ 'a', 'b' ] } })
+				.then(() => softModel.restore({ id: 'a' }))
+				.then((numRestored) => {
+					expect(numRestored).to.equal(1);
+					return softModel.find({}, { sort: [ 'id' ] });
+				})
+				.then((docs) => {
+					expect(docs.map((doc) => doc.data.id)).to.deep.equal([ 'a', 'c' ]);
+					expect(docs[0].data.deletedAt).to.equal(undefined);
+				});
+		});
+
+		it('should report soft deletes and restores to watchers', function() {
+			let changes = softModel.watch({ name: { $ne: 'Felix' } });
+			return softModel.remove({ id: 'a' })
+				.then(() => softModel.findOne({ id: 'b' }))
+				.then((doc) => doc.remove())
+				.then(() => softModel.restore({ id: 'a' }))
+				.then(() => {
+					changes.close();
+					return changes.intoArray();
+				})
+				.then((changes) => {
+					expect(changes.map((change) => change.type + change.keys.id)).to.deep.equal([
+						'updatea',
+						'updateb',
+						'updatea'
+					]);
+					expect(changes[0].data.deletedAt).to.be.an.instanceof(Date);
+					expect(changes[1].data.deletedAt).to.be.an.instanceof(Date);
+					expect(changes[2].data.deletedAt).to.equal(undefined);
+				});
+		});
+
+		it('should purge documents', function() {
+			return softModel.remove({ id: 'a' })
+				.then(() => softModel.purge({ id: { $in: [ 'a', 'b' ] } }))
+				.then((numPurged) => {
+					expect(numPurged).to.equal(2);
+					expect(softModel._records.size).to.equal(1);
+					return softModel.findOne({ id: 'c' });
+				})
+				.then((doc) => doc.remove({ hardDelete: true }))
+				.then(() => expect(softModel._records.size).to.equal(0));
+		});
+	});
+
+	describe('populate', function() {
+		let registry, pets, numLoadedAnimals;
+		beforeEach(function() {
+			registry = new ModelRegistry();
+			registry.register(model);
+			numLoadedAnimals = 0;
+			model.hook('post-init', () => { numLoadedAnimals++; });
+			pets = registry.register(new MemoryModel('Pets', {
+				id: { type: String, key: true },
+				animalId: { type: String, ref: 'Animals' },
+				friendIds: [ { type: String, ref: 'Animals' } ]
+			}, { registry }));
+			return pets.insertMulti([
+				{ id: 'p1', animalId: 'a', friendIds: [ 'b', 'x' ] },
+				{ id: 'p2', animalId: 'c' },
+				{ id: 'p3', animalId: 'a' },
+				{ id: 'p4' }
+			]);
+		});
+
+		it('should populate references with find()', function() {
+			return pets.find({}, { sort: [ 'id' ], populate: [ 'animalId', 'friendIds' ] })
+				.then((docs) => {
+					expect(docs[0].getPopulated('animalId').data.name).to.equal('Toby');
+					expect(docs[0].getPopulated('friendIds')[0].data.name).to.equal('Ruff');
+					expect(docs[0].getPopulated('friendIds')[1]).to.equal(null);
+					expect(docs[1].getPopulated('animalId').data.name).to.equal('Felix');
+					expect(docs[2].getPopulated('animalId').data.name).to.equal('Toby');
+					expect(docs[3].getPopulated('animalId')).to.equal(null);
+					// Each referenced document is only loaded once
+					expect(numLoadedAnimals).to.equal(3);
+				});
+		});
+
+		it('should populate references with findOne() and findStream()', function() {
+			return pets.findOne({ id: 'p2' }, { populate: 'animalId' })
+				.then((doc) => {
+					expect(doc.getPopulated('animalId').data.name).to.equal('Felix');
+					expect(doc.getPopulated('friendIds')).to.equal(undefined);
+					return pets.findStream({}, { sort: [ 'id' ], populate: [ 'animalId' ], populateBatchSize: 3 })
+						.intoArray();
+				})
+				.then((docs) => {
+					expect(docs.map((doc) => doc.data.id)).to.deep.equal([ 'p1', 'p2', 'p3', 'p4' ]);
+					expect(docs[3].getPopulated('animalId')).to.equal(null);
+					expect(docs[1].getPopulated('animalId').data.name).to.equal('Felix');
+				});
+		});
+
+		it('should reject populating fields that are not references', function() {
+			return expect(pets.find({}, { populate: [ 'id' ] })).to.be.rejectedWith(XError)
+				.then((err) => expect(err.code).to.equal(XError.INVALID_ARGUMENT));
+		});
+	});
+});
@@ -0,0 +1,51 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const expect = require('chai').expect;
+const XError = require('xerror');
+const { ModelRegistry, MemoryModel } = require('../lib');
+
+describe('ModelRegistry', function() {
+	class OtherModel extends MemoryModel {}
+
+	let registry, animals, shelters;
+	beforeEach(function() {
+		registry = new ModelRegistry();
+		animals = registry.register(new MemoryModel('Animals', { id: { type: String, key: true } }));
+		shelters = registry.register(new OtherModel('Shelters', { id: { type: String, key: true } }));
+	});
+
+	it('should look up models by name', function() {
+		expect(registry.get('Animals')).to.equal(animals);
+		expect(registry.has('Shelters')).to.be.true;
+		expect(registry.has('Owners')).to.be.false;
+		expect(() => registry.get('Owners')).to.throw(XError);
+		expect(registry.getNames()).to.deep.equal([ 'Animals', 'Shelters' ]);
+	});
+
+	it('should iterate over and filter models', function() {
+		expect(Array.from(registry)).to.deep.equal([ animals, shelters ]);
+		expect(registry.getModels('OtherModel')).to.deep.equal([ shelters ]);
+		expect(registry.getModels()).to.deep.equal([ animals, shelters ]);
+	});
+
+	it('should detect duplicate names', function() {
+		registry.register(animals);
+		let duplicate = new MemoryModel('Animals', { id: { type: String, key: true } });
+		try {
+			registry.register(duplicate);
+			throw new Error('Expected register() to throw');
+		} catch (err) {
+			expect(err.code).to.equal(XError.ALREADY_EXISTS);
+		}
+		expect(registry.unregister(duplicate)).to.be.false;
+		expect(registry.unregister('Animals')).to.be.true;
+		registry.register(duplicate);
+		expect(registry.get('Animals')).to.equal(duplicate);
+	});
+
+	it('should only register models', function() {
+		expect(() => registry.register({ getName: () => 'Foo' })).to.throw(XError);
+	});
+});
@@ -2,13 +2,15 @@
 // Licensed under the Apache License, Version 2.0
 // http://www.apache.org/licenses/LICENSE-2.0
 
+/* global AbortController */
 const chai = require('chai');
 const expect = chai.expect;
 const _ = require('lodash');
 const pasync = require('pasync');
 const XError = require('xerror');
 const zstreams = require('zstreams');
-const { Model, Document } = require('../lib');
+const { createQuery } = require('common-query');
+const { Model, Document, MemoryModel, MemoryMetricsCollector, TracerSink } = require('../lib');
 
 chai.use(require('chai-as-promised'));
 
@@ -76,6 +78,23 @@ describe('Model', function() {
 			});
 	});
 
+	it('should delegate find() with the total option to findStream()', function() {
+		class TestModel extends Model {
+			findStream() {
+				let stream = zstreams.fromArray([ 1, 2, 3 ]);
+				stream.getTotal = () => Promise.resolve(10);
+				return stream;
+			}
+		}
+		const testModel = new TestModel();
+		return testModel.find({}, { total: true })
+			.then((results) => {
+				// Resolves with the results, not the total
+				expect(results).to.deep.equal([ 1, 2, 3 ]);
+				expect(results.total).to.equal(10);
+			});
+	});
+
 	it('should delegate findStream() getTotal() to find()', function() {
 		class TestModel extends Model {
 			find() {
@@ -190,6 +209,32 @@ describe('Model', function() {
 			});
 	});
 
+	it('#update should not save documents that are not changed', function() {
+		let saved = [];
+
+		class TestDocument extends Document {
+			save() {
+				saved.push(this.data.id);
+				return Promise.resolve(this);
+			}
+		}
+
+		class TestModel extends Model {
+			find() {
+				return Promise.resolve([
+					new TestDocument(this, { id: 1, foo: 'bar' }),
+					new TestDocument(this, { id: 2, foo: 'baz' })
+				]);
+			}
+		}
+
+		const testModel = new TestModel();
+		return testModel.update({}, { foo: 'baz' })
+			.then(() => {
+				expect(saved).to.deep.equal([ 1 ]);
+			});
+	});
+
 	it('#remove should have a working default implementation', function() {
 		let collection = new Set();
 
@@ -225,6 +270,27 @@ describe('Model', function() {
 			});
 	});
 
+	it('#insertMulti should insert documents in order and resolve with each result', function() {
+		let numInserting = 0;
+		class TestModel extends Model {
+			insert(data) {
+				numInserting++;
+				expect(numInserting).to.equal(1);
+				// Later documents finish sooner if inserted concurrently
+				return pasync.setTimeout(10 - data.id)
+					.then(() => {
+						numInserting--;
+						return { id: data.id };
+					});
+			}
+		}
+		const testModel = new TestModel();
+		return testModel.insertMulti([ { id: 1 }, { id: 2 }, { id: 3 } ])
+			.then((results) => {
+				expect(results).to.deep.equal([ { id: 1 }, { id: 2 }, { id: 3 } ]);
+			});
+	});
+
 	it('#upsert should run #insert if no documents are found', function() {
 		let hasRunInsert = false;
 		let hasRunUpdate = false;
@@ -299,4 +365,974 @@ describe('Model', function() {
 				expect(results).to.deep.equal({ foo: [ 1 ], bar: [ 2 ], baz: [ 3 ] });
 			});
 	});
+
+	it('should delegate aggregateStream() to aggregate()', function() {
+		class TestModel extends Model {
+			aggregate(query, aggregate) {
+				if (aggregate.groupBy) return Promise.resolve([ { key: [ 1 ] }, { key: [ 2 ] } ]);
+				return Promise.resolve({ total: 2 });
+			}
+		}
+
+		const testModel = new TestModel();
+
+		return testModel.aggregateStream({}, { groupBy: 'foo', total: true }).intoArray()
+			.then((entries) => {
+				expect(entries).to.deep.equal([ { key: [ 1 ] }, { key: [ 2 ] } ]);
+				return testModel.aggregateStream({}, { total: true }).intoArray();
+			})
+			.then((entries) => {
+				expect(entries).to.deep.equal([ { total: 2 } ]);
+			});
+	});
+
+	it('should delegate aggregate() and aggregateMulti() to aggregateStream()', function() {
+		class TestModel extends Model {
+			aggregateStream(query, aggregate) {
+				if (aggregate.groupBy) return zstreams.fromArray([ { key: [ 1 ] }, { key: [ 2 ] } ]);
+				return zstreams.fromArray([ { total: 2 } ]);
+			}
+		}
+
+		const testModel = new TestModel();
+
+		return testModel.aggregate({}, { groupBy: 'foo', total: true })
+			.then((results) => {
+				expect(results).to.deep.equal([ { key: [ 1 ] }, { key: [ 2 ] } ]);
+				return testModel.aggregateMulti({}, { foo: { total: true } });
+			})
+			.then((results) => {
+				expect(results).to.deep.equal({ foo: { total: 2 } });
+			});
+	});
+
+	it('should not infinitely recurse if no aggregate method is implemented', function() {
+		class TestModel extends Model { }
+		const testModel = new TestModel();
+
+		expect(() => testModel.aggregate({}, { total: true })).to.throw(XError);
+		expect(() => testModel.aggregateMulti({}, { foo: { total: true } })).to.throw(XError);
+		expect(() => testModel.aggregateStream({}, { total: true })).to.throw(XError);
+	});
+
+	it('#watch should report changes made through the default implementations', function() {
+		let collection = new Map();
+
+		class TestDocument extends Document {
+			save() {
+				collection.set(this.data.id, this.data);
+				return Promise.resolve(this);
+			}
+			remove() {
+				collection.delete(this.data.id);
+				return Promise.resolve(this);
+			}
+		}
+
+		class TestModel extends Model {
+			getKeys() { return [ 'id' ]; }
+			insert(data) {
+				collection.set(data.id, data);
+				return Promise.resolve();
+			}
+			find(query) {
+				let matchFn = createQuery(query).createMatchingFn();
+				let datas = Array.from(collection.values()).filter(matchFn);
+				return Promise.resolve(datas.map((data) => new TestDocument(this, _.clone(data))));
+			}
+		}
+
+		const testModel = new TestModel();
+		let allChanges = testModel.watch();
+		let matchingChanges = testModel.watch({ foo: 'bar' }, { types: [ 'insert', 'update' ] });
+
+		return testModel.insertMulti([ { id: 1, foo: 'bar' }, { id: 2, foo: 'baz' } ])
+			.then(() => testModel.insert({ id: 3, foo: 'qux' }))
+			.then(() => testModel.update({ id: 2 }, { foo: 'bar' }))
+			.then(() => testModel.remove({ id: 1 }))
+			.then(() => {
+				allChanges.close();
+				matchingChanges.close();
+				return Promise.all([ allChanges.intoArray(), matchingChanges.intoArray() ]);
+			})
+			.then(([ all, matching ]) => {
+				expect(all).to.deep.equal([
+					{ type: 'insert', keys: { id: 1 }, data: { id: 1, foo: 'bar' } },
+					{ type: 'insert', keys: { id: 2 }, data: { id: 2, foo: 'baz' } },
+					{ type: 'insert', keys: { id: 3 }, data: { id: 3, foo: 'qux' } },
+					{ type: 'update', keys: { id: 2 }, data: { id: 2, foo: 'bar' } },
+					{ type: 'remove', keys: { id: 1 }, data: { id: 1, foo: 'bar' } }
+				]);
+				expect(matching.map((change) => change.type + change.keys.id)).to.deep.equal([
+					'insert1',
+					'update2'
+				]);
+			});
+	});
+
+	it('#watch should drop changes when the consumer falls behind', function() {
+		class TestModel extends Model {
+			getKeys() { return [ 'id' ]; }
+		}
+		const testModel = new TestModel();
+		let changes = testModel.watch({}, { maxBufferedChanges: 2 });
+		let numOverflows = 0;
+		changes.on('overflow', () => numOverflows++);
+		for (let id = 1; id <= 5; id++) testModel._emitChange('insert', { id });
+		expect(numOverflows).to.equal(1);
+		changes.close();
+		return changes.intoArray()
+			.then((events) => {
+				let summaries = events.map((event) => event.type + (event.keys ? event.keys.id : event.numDropped));
+				expect(summaries).to.deep.equal([
+					'insert1',
+					'insert2',
+					'overflow3'
+				]);
+			});
+	});
+
+	it('#watch should resume pushing changes once the consumer catches up', function() {
+		class TestModel extends Model {
+			getKeys() { return [ 'id' ]; }
+		}
+		const testModel = new TestModel();
+		let changes = testModel.watch({}, { maxBufferedChanges: 1 });
+		let received = [];
+		testModel._emitChange('insert', { id: 1 });
+		testModel._emitChange('insert', { id: 2 });
+		changes.on('data', (event) => {
+			received.push(event.type);
+			if (received.length === 2) testModel._emitChange('remove', { id: 1 });
+			if (received.length === 3) changes.close();
+		});
+		return new Promise((resolve) => changes.on('end', resolve))
+			.then(() => expect(received).to.deep.equal([ 'insert', 'overflow', 'remove' ]));
+	});
+
+	describe('getCapabilities()', function() {
+		it('should report all operations as unsupported for the base model', function() {
+			let capabilities = new Model().getCapabilities();
+			for (let method of [ 'find', 'findStream', 'count', 'aggregate', 'insert', 'update', 'bulkWrite' ]) {
+				expect(capabilities.operations[method]).to.equal('unsupported');
+			}
+			expect(capabilities.operations.watch).to.equal('emulated');
+			expect(capabilities.queryOperators).to.deep.equal([]);
+			expect(capabilities.aggregateTypes).to.deep.equal([]);
+			expect(capabilities.findOptions.total).to.be.false;
+		});
+
+		it('should distinguish native and emulated operations', function() {
+			class TestModel extends Model {
+				getKeys() { return [ 'id' ]; }
+				findStream() { }
+				insert() { }
+			}
+			let capabilities = new TestModel().getCapabilities();
+			expect(capabilities.operations).to.include({
+				findStream: 'native',
+				find: 'emulated',
+				findOne: 'emulated',
+				count: 'emulated',
+				update: 'emulated',
+				insert: 'native',
+				insertMulti: 'emulated',
+				upsert: 'emulated',
+				bulkWrite: 'emulated',
+				aggregate: 'unsupported',
+				aggregateMulti: 'unsupported',
+				create: 'unsupported'
+			});
+			expect(capabilities.queryOperators).to.include.members([ '$and', '$in', '$elemMatch' ]);
+			expect(capabilities.aggregateTypes).to.deep.equal([]);
+			expect(capabilities.findOptions).to.deep.equal({
+				skip: true,
+				limit: true,
+				total: true,
+				sort: true,
+				fields: true,
+				cursor: true
+			});
+		});
+
+		it('should not report upserts as supported without inserts', function() {
+			class TestModel extends Model {
+				find() { }
+			}
+			let capabilities = new TestModel().getCapabilities();
+			expect(capabilities.operations.update).to.equal('emulated');
+			expect(capabilities.operations.upsert).to.equal('unsupported');
+			expect(capabilities.findOptions.cursor).to.be.false;
+		});
+
+		it('should not be affected by wrappers around methods', function() {
+			let model = new Model();
+			model.hook('pre-find-operation', () => { });
+			expect(model.getCapabilities().operations.find).to.equal('unsupported');
+		});
+
+		it('should report the capabilities of MemoryModel', function() {
+			let model = new MemoryModel('Animals', { id: { type: Number, key: true } });
+			let capabilities = model.getCapabilities();
+			expect(capabilities.operations).to.include({
+				find: 'native',
+				aggregateMulti: 'native',
+				insertMulti: 'native',
+				update: 'native',
+				create: 'native'
+			});
+			expect(capabilities.aggregateTypes).to.deep.equal([ 'stats', 'total', 'groupBy' ]);
+			expect(capabilities.transactions.atomicDocumentWrites).to.be.true;
+		});
+	});
+
+	describe('paged findStream()', function() {
+		let model, findOptions;
+		beforeEach(function() {
+			model = new MemoryModel('Animals', {
+				id: { type: Number, key: true },
+				age: Number
+			}, { findStreamBatchSize: 2 });
+			findOptions = [];
+			let find = model.find;
+			model.find = function(query, options) {
+				findOptions.push(_.omit(options, [ 'sort' ]));
+				return find.call(this, query, options);
+			};
+			return model.insertMulti([ 5, 3, 4, 1, 2 ].map((id) => ({ id, age: id % 2 })));
+		});
+
+		it('should fetch batches with cursors as the stream is read', function() {
+			let stream = model.findStream({});
+			return pasync.setTimeout(5)
+				.then(() => {
+					expect(findOptions).to.have.length(0);
+					return stream.intoArray();
+				})
+				.then((results) => {
+					expect(results.map((doc) => doc.data.id)).to.deep.equal([ 1, 2, 3, 4, 5 ]);
+					expect(findOptions).to.have.length(3);
+					expect(findOptions[0]).to.deep.equal({ limit: 2, cursor: true });
+					expect(findOptions[1].after).to.be.a('string');
+					expect(findOptions[2].after).to.be.a('string');
+				});
+		});
+
+		it('should apply sort, skip, limit and total across batches', function() {
+			let stream = model.findStream({}, { sort: [ '-age' ], skip: 1, limit: 3, total: true, batchSize: 2 });
+			return stream.intoArray()
+				.then((results) => {
+					expect(results.map((doc) => doc.data.id)).to.deep.equal([ 3, 5, 2 ]);
+					expect(findOptions.map((options) => options.skip)).to.deep.equal([ 1, undefined ]);
+					expect(findOptions.map((options) => options.limit)).to.deep.equal([ 2, 1 ]);
+					return stream.getTotal();
+				})
+				.then((total) => {
+					expect(total).to.equal(5);
+				});
+		});
+
+		it('should page with skip and limit if the model has no keys', function() {
+			let calls = [];
+			class TestModel extends Model {
+				find(query, options) {
+					calls.push(_.pick(options, [ 'skip', 'limit' ]));
+					return Promise.resolve([ 1, 2, 3, 4, 5 ].slice(options.skip, options.skip + options.limit));
+				}
+			}
+			return new TestModel().findStream({}, { batchSize: 2 }).intoArray()
+				.then((results) => {
+					expect(results).to.deep.equal([ 1, 2, 3, 4, 5 ]);
+					expect(calls).to.deep.equal([
+						{ skip: 0, limit: 2 },
+						{ skip: 2, limit: 2 },
+						{ skip: 4, limit: 2 }
+					]);
+				});
+		});
+
+		it('should bound the default update() to batches', function() {
+			let saved = [];
+			let limits = [];
+			class TestDocument extends Document {
+				save() {
+					saved.push(this.data.id);
+					return Promise.resolve(this);
+				}
+			}
+			class TestModel extends Model {
+				getKeys() {
+					return [ 'id' ];
+				}
+				find(query, options) {
+					limits.push(options.limit);
+					let datas = [ 1, 2, 3, 4, 5 ]
+						.map((id) => ({ id }))
+						.filter((data) => createQuery(query).matches(data))
+						.slice(0, options.limit);
+					return Promise.resolve(datas.map((data) => new TestDocument(this, data)));
+				}
+			}
+			return new TestModel({ findStreamBatchSize: 2 }).update({}, { $set: { foo: 'bar' } })
+				.then(() => {
+					expect(saved).to.deep.equal([ 1, 2, 3, 4, 5 ]);
+					expect(limits).to.deep.equal([ 2, 2, 2 ]);
+				});
+		});
+
+		describe('without keys', function() {
+			// Stores documents in an array, and pages results with skip and limit
+			class ListDocument extends Document {
+				save() {
+					if (!_.includes(this.model.datas, this.data)) this.model.datas.push(this.data);
+					return Promise.resolve(this);
+				}
+				remove() {
+					_.pull(this.model.datas, this.data);
+					return Promise.resolve();
+				}
+			}
+			class ListModel extends Model {
+				constructor(options) {
+					super(options);
+					this.datas = [];
+					this.numFinds = 0;
+				}
+				find(query, options) {
+					this.numFinds++;
+					let datas = this.datas.filter((data) => createQuery(query).matches(data));
+					let skip = options.skip || 0;
+					if (options.limit) datas = datas.slice(skip, skip + options.limit);
+					return Promise.resolve(datas.map((data) => new ListDocument(this, data)));
+				}
+			}
+
+			let listModel;
+			beforeEach(function() {
+				listModel = new ListModel({ findStreamBatchSize: 3 });
+				listModel.datas = _.range(10).map((n) => ({ n, v: 1 }));
+			});
+
+			it('should remove all matching documents', function() {
+				return listModel.remove({})
+					.then(() => {
+						expect(listModel.datas).to.deep.equal([]);
+						expect(listModel.numFinds).to.equal(1);
+					});
+			});
+
+			it('should update all matching documents', function() {
+				return listModel.update({ v: 1 }, { $set: { v: 2 } })
+					.then(() => {
+						expect(listModel.datas.map((data) => data.v)).to.deep.equal(_.times(10, () => 2));
+						return listModel.findStream({}).intoArray();
+					})
+					.then((docs) => {
+						// Streams that only read are still paged
+						expect(docs).to.have.length(10);
+						expect(listModel.numFinds).to.equal(5);
+					});
+			});
+		});
+	});
+
+	describe('abort signals', function() {
+		class SlowModel extends Model {
+			find() {
+				this.numFinds = (this.numFinds || 0) + 1;
+				return pasync.setTimeout(50).then(() => [ 1, 2, 3 ]);
+			}
+		}
+
+		it('should reject immediately if the signal is already aborted', function() {
+			let controller = new AbortController();
+			controller.abort();
+			let model = new SlowModel();
+			return expect(model.count({}, { signal: controller.signal })).to.be.rejectedWith(XError)
+				.then((err) => {
+					expect(err.code).to.equal(XError.ABORTED);
+					expect(model.numFinds).to.equal(undefined);
+				});
+		});
+
+		it('should reject pending operations when the signal is aborted', function() {
+			let controller = new AbortController();
+			let model = new SlowModel();
+			let startTime = Date.now();
+			setTimeout(() => controller.abort(), 5);
+			return expect(model.find({}, { signal: controller.signal })).to.be.rejectedWith(XError)
+				.then((err) => {
+					expect(err.code).to.equal(XError.ABORTED);
+					expect(Date.now() - startTime).to.be.below(50);
+				});
+		});
+
+		it('should attach the abort reason as the cause', function() {
+			let controller = new AbortController();
+			let reason = new Error('Client disconnected');
+			controller.abort(reason);
+			return expect(new SlowModel().find({}, { signal: controller.signal })).to.be.rejectedWith(XError)
+				.then((err) => {
+					expect(err.cause).to.equal(reason);
+				});
+		});
+
+		it('should destroy streams when the signal is aborted', function() {
+			let controller = new AbortController();
+			let model = new SlowModel();
+			let stream = model.findStream({}, { signal: controller.signal });
+			setTimeout(() => controller.abort(), 5);
+			return expect(stream.intoArray()).to.be.rejectedWith(XError)
+				.then((err) => {
+					expect(err.code).to.equal(XError.ABORTED);
+					expect(stream.destroyed).to.be.true;
+				});
+		});
+
+		it('should stop the default update() when the signal is aborted', function() {
+			let controller = new AbortController();
+			let saved = [];
+			class TestDocument extends Document {
+				save() {
+					saved.push(this.data.id);
+					if (saved.length === 2) controller.abort();
+					return pasync.setTimeout(5).then(() => this);
+				}
+			}
+			class TestModel extends Model {
+				find() {
+					return Promise.resolve([ 1, 2, 3, 4, 5 ].map((id) => new TestDocument(this, { id })));
+				}
+			}
+			let model = new TestModel();
+			return expect(model.update({}, { $set: { foo: 'bar' } }, { signal: controller.signal }))
+				.to.be.rejectedWith(XError)
+				.then((err) => {
+					expect(err.code).to.equal(XError.ABORTED);
+					return pasync.setTimeout(30);
+				})
+				.then(() => {
+					expect(saved).to.deep.equal([ 1, 2 ]);
+				});
+		});
+	});
+
+	describe('instrumentation', function() {
+		let model, collector;
+		beforeEach(function() {
+			collector = new MemoryMetricsCollector();
+			model = new MemoryModel('Animals', {
+				id: { type: Number, key: true },
+				name: String
+			}, { metricsSinks: [ collector ] });
+			return model.insertMulti([ { id: 1, name: 'Toby' }, { id: 2, name: 'Ruff' } ]);
+		});
+
+		it('should report operation events', function() {
+			return model.find({ id: { $gt: 0 } })
+				.then(() => model.count({ id: 1 }))
+				.then(() => model.update({ id: 2 }, { $set: { name: 'Rex' } }))
+				.then(() => {
+					let events = collector.getEvents();
+					expect(events.map((event) => event.operation)).to.deep.equal([
+						'insertMulti',
+						'find',
+						'count',
+						'update'
+					]);
+					expect(events[0].count).to.equal(2);
+					expect(events[1]).to.include({
+						model: 'Animals',
+						modelType: 'MemoryModel',
+						outcome: 'success',
+						errorCode: null,
+						count: 2
+					});
+					expect(events[1].query).to.deep.equal({ id: { $gt: 0 } });
+					expect(events[1].duration).to.be.a('number');
+					expect(events[1].startTime).to.be.a('number');
+					expect(events[2].count).to.equal(1);
+					expect(events[3].count).to.equal(1);
+				});
+		});
+
+		it('should report errors', function() {
+			return expect(model.insertMulti([ { id: 1 } ])).to.be.rejectedWith(XError)
+				.then(() => {
+					expect(collector.getEvents({ operation: 'insertMulti', outcome: 'error' })).to.have.length(1);
+					expect(collector.getEvents({ outcome: 'error' })[0].errorCode).to.equal(XError.ALREADY_EXISTS);
+				});
+		});
+
+		it('should count streamed documents', function() {
+			class StreamingModel extends Model {
+				getName() { return 'Stream'; }
+				findStream() { return zstreams.fromArray([ 1, 2, 3 ]); }
+			}
+			let streamingModel = new StreamingModel().addMetricsSink(collector);
+			return streamingModel.findStream({}).intoArray()
+				.then((results) => {
+					expect(results).to.deep.equal([ 1, 2, 3 ]);
+					expect(collector.getEvents({ model: 'Stream' })).to.have.length(1);
+					expect(collector.getEvents({ model: 'Stream' })[0]).to.include({
+						operation: 'findStream',
+						outcome: 'success',
+						count: 3
+					});
+				});
+		});
+
+		it('should forward stream errors', function() {
+			class FailingModel extends Model {
+				getName() { return 'Failing'; }
+				findStream() {
+					let stream = new zstreams.PassThrough({ objectMode: true });
+					setImmediate(() => stream.emit('error', new XError(XError.INTERNAL_ERROR, 'Stream failed')));
+					return stream;
+				}
+			}
+			let failingModel = new FailingModel().addMetricsSink(collector);
+			return expect(failingModel.findStream({}).intoArray()).to.be.rejectedWith(XError, 'Stream failed')
+				.then(() => expect(failingModel.find({})).to.be.rejectedWith(XError, 'Stream failed'))
+				.then(() => expect(failingModel.remove({})).to.be.rejectedWith(XError, 'Stream failed'))
+				.then(() => {
+					expect(collector.getEvents({ model: 'Failing', operation: 'findStream' })[0]).to.include({
+						outcome: 'error',
+						errorCode: XError.INTERNAL_ERROR
+					});
+					expect(collector.getEvents({ model: 'Failing', operation: 'remove' })[0]).to.include({
+						outcome: 'error'
+					});
+				});
+		});
+
+		it('should create tracing spans', function() {
+			let spans = [];
+			let tracer = {
+				startSpan(name, options) {
+					let span = {
+						name,
+						attributes: options.attributes,
+						setAttributes(attributes) { Object.assign(span.attributes, attributes); },
+						setStatus(status) { span.status = status; },
+						end() { span.ended = true; }
+					};
+					spans.push(span);
+					return span;
+				}
+			};
+			model.addMetricsSink(new TracerSink(tracer)).removeMetricsSink(collector);
+			return model.count({})
+				.then(() => expect(model.findOne({ id: 3 })).to.be.rejected)
+				.then(() => {
+					expect(collector.getEvents({ operation: 'count' })).to.have.length(0);
+					expect(spans.map((span) => span.name)).to.deep.equal([ 'Animals.count', 'Animals.find' ]);
+					expect(spans[0].attributes).to.deep.equal({
+						'unimodel.model': 'Animals',
+						'unimodel.model_type': 'MemoryModel',
+						'unimodel.operation': 'count',
+						'unimodel.outcome': 'success',
+						'unimodel.count': 2
+					});
+					expect(spans.every((span) => span.ended)).to.be.true;
+				});
+		});
+
+		it('should reject invalid sinks', function() {
+			expect(() => model.addMetricsSink({})).to.throw(XError);
+		});
+	});
+
+	describe('cursor pagination', function() {
+		let model;
+		beforeEach(function() {
+			model = new MemoryModel('Animals', {
+				id: { type: Number, key: true },
+				age: Number,
+				found: Date
+			});
+			let datas = [];
+			for (let id = 1; id <= 10; id++) {
+				datas.push({ id, age: id % 3, found: new Date(Date.UTC(2015, 0, id % 4)) });
+			}
+			datas.push({ id: 11 });
+			return model.insertMulti(datas);
+		});
+
+		function getAllPages(sort, pageSize, method = 'find') {
+			let ids = [];
+			let after;
+			let getPage = () => {
+				let options = { sort, limit: pageSize, cursor: true, after };
+				let promise;
+				if (method === 'find') {
+					promise = model.find({}, options)
+						.then((results) => {
+							after = results.cursor;
+							return results;
+						});
+				} else {
+					promise = model.findStream({}, options).intoArray()
+						.then((results) => {
+							if (results.length) after = model.getCursor(results[results.length - 1], options);
+							return results;
+						});
+				}
+				return promise.then((results) => {
+					for (let doc of results) ids.push(doc.data.id);
+					if (results.length === pageSize) return getPage();
+				});
+			};
+			return getPage().then(() => ids);
+		}
+
+		it('should page through results sorted by key', function() {
+			return getAllPages(undefined, 3)
+				.then((ids) => expect(ids).to.deep.equal([ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11 ]));
+		});
+
+		it('should only return the selected fields', function() {
+			let options = { sort: [ 'age' ], limit: 2, cursor: true, fields: [ 'found' ] };
+			let query = { id: { $lt: 11 } };
+			return model.find(query, options)
+				.then((page1) => {
+					expect(page1.map((doc) => _.keys(doc.data))).to.deep.equal([ [ 'found' ], [ 'found' ] ]);
+					return model.find(query, _.assign({}, options, { after: page1.cursor }));
+				})
+				.then((page2) => {
+					// Ids 9 and 1
+					expect(page2.map((doc) => doc.data.found.getUTCDate())).to.deep.equal([ 1, 1 ]);
+					expect(page2.map((doc) => _.keys(doc.data))).to.deep.equal([ [ 'found' ], [ 'found' ] ]);
+					// Batched streams page with cursors internally
+					return model.findStream({}, { fields: [ 'age' ], batchSize: 4 }).intoArray();
+				})
+				.then((results) => {
+					expect(results).to.have.length(11);
+					expect(results[0].data).to.deep.equal({ age: 1 });
+				});
+		});
+
+		it('should page through results with a sort', function() {
+			return Promise.all([
+				model.find({}, { sort: [ 'age', '-id' ] }),
+				getAllPages([ 'age', '-id' ], 4)
+			])
+				.then(([ expected, ids ]) => {
+					expect(ids).to.deep.equal(expected.map((doc) => doc.data.id));
+				});
+		});
+
+		it('should page through results with descending and date sorts', function() {
+			return Promise.all([
+				model.find({}, { sort: [ '-found', 'id' ] }),
+				getAllPages([ '-found' ], 2)
+			])
+				.then(([ expected, ids ]) => {
+					expect(ids).to.deep.equal(expected.map((doc) => doc.data.id));
+				});
+		});
+
+		it('should page through streams', function() {
+			return getAllPages([ '-age' ], 3, 'findStream')
+				.then((ids) => expect(ids).to.deep.equal([ 2, 5, 8, 1, 4, 7, 10, 3, 6, 9, 11 ]));
+		});
+
+		it('should continue after documents inserted between pages', function() {
+			return model.find({}, { limit: 5, cursor: true })
+				.then((results) => {
+					return model.insert({ id: 0 })
+						.then(() => model.find({}, { limit: 5, after: results.cursor }));
+				})
+				.then((results) => {
+					expect(results.map((doc) => doc.data.id)).to.deep.equal([ 6, 7, 8, 9, 10 ]);
+				});
+		});
+
+		it('should reject cursors created with a different sort', function() {
+			return model.find({}, { limit: 5, cursor: true })
+				.then((results) => {
+					expect(() => model.find({}, { sort: [ 'age' ], after: results.cursor })).to.throw(XError);
+					expect(() => model.find({}, { after: 'invalid' })).to.throw(XError);
+				});
+		});
+	});
+
+	describe('operation hooks', function() {
+		let model, triggered;
+		beforeEach(function() {
+			model = new MemoryModel('Animals', {
+				id: { type: String, key: true },
+				tenant: String,
+				name: String,
+				age: Number
+			});
+			triggered = [];
+			return model.insertMulti([
+				{ id: 'a', tenant: 'x', name: 'Toby', age: 5 },
+				{ id: 'b', tenant: 'y', name: 'Ruff', age: 2 },
+				{ id: 'c', tenant: 'x', name: 'Felix', age: 9 }
+			]);
+		});
+
+		function recordHooks(...names) {
+			names.forEach((name) => {
+				model.hook(name, (context) => { triggered.push(`${name}:${context.method}`); });
+			});
+		}
+
+		it('should allow pre-find hooks to rewrite queries', function() {
+			recordHooks('pre-find-operation', 'post-find-operation');
+			model.hook('pre-find-operation', (context) => {
+				context.query = { $and: [ context.query, { tenant: 'x' } ] };
+			});
+			return model.find({}, { sort: [ 'id' ] })
+				.then((docs) => {
+					expect(docs.map((doc) => doc.data.id)).to.deep.equal([ 'a', 'c' ]);
+					return model.count({});
+				})
+				.then((count) => {
+					expect(count).to.equal(2);
+					return model.findOne({ id: 'b' }).then(() => null, (err) => err);
+				})
+				.then((err) => {
+					expect(err.code).to.equal(XError.NOT_FOUND);
+					return model.findStream({ age: { $gt: 6 } }).intoArray();
+				})
+				.then((docs) => {
+					expect(docs.map((doc) => doc.data.id)).to.deep.equal([ 'c' ]);
+					// Default implementations that delegate to find() do not trigger hooks again
+					expect(triggered).to.deep.equal([
+						'pre-find-operation:find', 'post-find-operation:find',
+						'pre-find-operation:count', 'post-find-operation:count',
+						'pre-find-operation:find', 'post-find-operation:find',
+						'pre-find-operation:find', 'post-find-operation:find'
+					]);
+				});
+		});
+
+		it('should allow post-find hooks to post-process results', function() {
+			model.hook('post-find-operation', (context) => {
+				context.result = context.result.filter((doc) => doc.data.age > 3);
+			});
+			return model.find({})
+				.then((docs) => expect(docs.map((doc) => doc.data.id)).to.deep.equal([ 'a', 'c' ]));
+		});
+
+		it('should trigger hooks around streaming methods', function() {
+			class StreamModel extends Model {
+				findStream(query) {
+					return zstreams.fromArray([ 1, 2, 3, 4 ].filter((value) => createQuery(query).matches({ value })));
+				}
+			}
+			let streamModel = new StreamModel();
+			streamModel.hook('pre-find-operation', (context) => {
+				return pasync.setTimeout(5).then(() => {
+					context.query = { value: { $gt: 2 } };
+				});
+			});
+			return streamModel.findStream({}).intoArray()
+				.then((results) => expect(results).to.deep.equal([ 3, 4 ]));
+		});
+
+		it('should trigger aggregate hooks', function() {
+			recordHooks('pre-aggregate-operation', 'post-aggregate-operation');
+			model.hook('pre-aggregate-operation', (context) => {
+				context.query = { tenant: 'x' };
+			});
+			return model.aggregate({}, { stats: { age: { max: true } } })
+				.then((result) => {
+					expect(result.stats.age.max).to.equal(9);
+					expect(triggered).to.deep.equal([
+						'pre-aggregate-operation:aggregateMulti',
+						'post-aggregate-operation:aggregateMulti'
+					]);
+				});
+		});
+
+		it('should trigger write hooks', function() {
+			recordHooks('pre-insert-operation', 'post-insert-operation');
+			recordHooks('pre-update-operation', 'pre-upsert-operation');
+			recordHooks('pre-remove-operation', 'post-remove-operation');
+			model.hook('pre-insert-operation', (context) => {
+				for (let data of context.datas) data.tenant = 'x';
+			});
+			model.hook('pre-update-operation', (context) => {
+				context.update = { $set: { name: 'Changed' } };
+			});
+			model.hook('post-remove-operation', (context) => {
+				expect(context.result).to.equal(1);
+			});
+			return model.insert({ id: 'd', name: 'Rex' })
+				.then(() => model.findOne({ id: 'd' }))
+				.then((doc) => {
+					expect(doc.data.tenant).to.equal('x');
+					return model.update({ id: 'd' }, { name: 'Max' });
+				})
+				.then(() => model.findOne({ id: 'd' }))
+				.then((doc) => {
+					expect(doc.data.name).to.equal('Changed');
+					return model.upsert({ id: 'e' }, { name: 'Max' });
+				})
+				.then(() => model.remove({ id: 'd' }))
+				.then(() => {
+					expect(triggered).to.deep.equal([
+						'pre-insert-operation:insertMulti', 'post-insert-operation:insertMulti',
+						'pre-update-operation:update',
+						'pre-upsert-operation:upsert',
+						'pre-insert-operation:insertMulti', 'post-insert-operation:insertMulti',
+						'pre-remove-operation:remove', 'post-remove-operation:remove'
+					]);
+				});
+		});
+	});
+
+	describe('bulkWrite', function() {
+		let model;
+		beforeEach(function() {
+			model = new MemoryModel('Animals', {
+				id: { type: String, key: true },
+				name: { type: String, required: true },
+				age: Number
+			});
+			return model.insertMulti([
+				{ id: 'a', name: 'Toby', age: 5 },
+				{ id: 'b', name: 'Ruff', age: 2 }
+			]);
+		});
+
+		it('should execute mixed operations in order', function() {
+			return model.bulkWrite([
+				{ insert: { id: 'c', name: 'Felix', age: 9 } },
+				{ insert: { id: 'd', name: 'Rex', age: 4 } },
+				{ update: { query: { age: { $gt: 3 } }, update: { $inc: { age: 1 } } } },
+				{ upsert: { query: { id: 'e' }, update: { name: 'Max' } } },
+				{ remove: { query: { id: 'b' } } }
+			])
+				.then((result) => {
+					expect(result.results.map((opResult) => opResult.success)).to.deep.equal([
+						true, true, true, true, true
+					]);
+					expect(result.results[0].result.data.name).to.equal('Felix');
+					expect(_.pick(result, [
+						'insertedCount', 'updatedCount', 'upsertedCount', 'removedCount', 'errorCount', 'skippedCount'
+					])).to.deep.equal({
+						insertedCount: 2,
+						updatedCount: 3,
+						upsertedCount: 1,
+						removedCount: 1,
+						errorCount: 0,
+						skippedCount: 0
+					});
+					return model.find({}, { sort: [ 'id' ] });
+				})
+				.then((docs) => {
+					expect(docs.map((doc) => [ doc.data.id, doc.data.age ])).to.deep.equal([
+						[ 'a', 6 ], [ 'c', 10 ], [ 'd', 5 ], [ 'e', undefined ]
+					]);
+				});
+		});
+
+		it('should skip operations after an error when ordered', function() {
+			return model.bulkWrite([
+				{ remove: { query: { id: 'a' } } },
+				{ insert: { id: 'b', name: 'Duplicate' } },
+				{ remove: { query: { id: 'b' } } }
+			])
+				.then((result) => {
+					expect(result.results[0].success).to.equal(true);
+					expect(result.results[1].error.code).to.equal(XError.ALREADY_EXISTS);
+					expect(result.results[2]).to.deep.equal({ type: 'remove', success: false, skipped: true });
+					expect(result.errorCount).to.equal(1);
+					expect(result.skippedCount).to.equal(1);
+					return model.count({});
+				})
+				.then((count) => expect(count).to.equal(1));
+		});
+
+		it('should continue after errors when not ordered', function() {
+			return model.bulkWrite([
+				{ insert: { id: 'c' } },
+				{ update: { query: { id: 'a' }, update: { name: 'Tobias' } } },
+				{ remove: { query: { id: 'b' } } }
+			], { ordered: false, concurrency: 2 })
+				.then((result) => {
+					expect(result.results[0].success).to.equal(false);
+					expect(result.updatedCount).to.equal(1);
+					expect(result.removedCount).to.equal(1);
+					expect(result.errorCount).to.equal(1);
+				});
+		});
+
+		it('should reject invalid operations', function() {
+			return expect(model.bulkWrite([ { update: { query: {} } } ])).to.be.rejectedWith(XError)
+				.then((err) => expect(err.code).to.equal(XError.INVALID_ARGUMENT));
+		});
+	});
+
+	describe('plugins', function() {
+		let model;
+		beforeEach(function() {
+			model = new MemoryModel('Animals', {
+				id: { type: String, key: true },
+				name: String
+			});
+		});
+
+		const timestamps = {
+			name: 'timestamps',
+			fields: { updatedAt: Date },
+			hooks: {
+				'pre-save': (doc) => { doc.data.updatedAt = new Date(); }
+			},
+			methods: {
+				findRecent(since) {
+					return this.find({ updatedAt: { $gte: since } });
+				}
+			},
+			documentMethods: {
+				getAge() {
+					return Date.now() - this.data.updatedAt.getTime();
+				}
+			}
+		};
+
+		it('should install fields, hooks and methods', function() {
+			let installOptions;
+			model.use(timestamps).use(function tenancy(pluginModel, options) {
+				installOptions = options;
+			}, { tenant: 'x' });
+			expect(model.getPlugins()).to.deep.equal([ 'timestamps', 'tenancy' ]);
+			expect(installOptions).to.deep.equal({ tenant: 'x' });
+			let doc = model.create({ id: 'a', name: 'Toby' });
+			return doc.save()
+				.then(() => model.findRecent(new Date(Date.now() - 1000)))
+				.then((docs) => {
+					expect(docs.length).to.equal(1);
+					expect(docs[0].data.updatedAt).to.be.an.instanceof(Date);
+					expect(docs[0].getAge()).to.be.at.least(0);
+				});
+		});
+
+		it('should order plugins by dependencies', function() {
+			let installed = [];
+			let audit = {
+				name: 'audit',
+				dependencies: [ 'timestamps' ],
+				install: () => installed.push('audit')
+			};
+			expect(() => model.use(audit)).to.throw(XError);
+			model.use([ audit, [ timestamps, {} ] ]);
+			expect(model.getPlugins()).to.deep.equal([ 'timestamps', 'audit' ]);
+			expect(installed).to.deep.equal([ 'audit' ]);
+			expect(() => model.use(timestamps)).to.throw(XError);
+			expect(() => model.use({ name: 'other', methods: { find() {} } })).to.throw(XError);
+		});
+
+		it('should reject circular dependencies', function() {
+			let a = { name: 'a', dependencies: [ 'b' ] };
+			let b = { name: 'b', after: [ 'a' ] };
+			expect(() => model.use([ a, b ])).to.throw(XError);
+			expect(model.getPlugins()).to.deep.equal([]);
+		});
+	});
 });
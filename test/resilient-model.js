@@ -0,0 +1,226 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+/* global AbortController */
+const chai = require('chai');
+const expect = chai.expect;
+const pasync = require('pasync');
+const XError = require('xerror');
+const { Model, ResilientModel, CircuitBreaker, MemoryModel } = require('../lib');
+
+chai.use(require('chai-as-promised'));
+
+describe('ResilientModel', function() {
+	let backingModel, model, failures, calls;
+	beforeEach(function() {
+		backingModel = new MemoryModel('Animals', {
+			id: { type: String, key: true },
+			name: String
+		});
+		// Make the next `failures` calls of some methods fail with the given errors
+		failures = [];
+		calls = {};
+		[ 'find', 'count', 'insert', 'upsert' ].forEach((method) => {
+			let original = backingModel[method];
+			calls[method] = 0;
+			backingModel[method] = function(...args) {
+				calls[method]++;
+				if (failures.length) return Promise.reject(failures.shift());
+				return original.apply(this, args);
+			};
+		});
+		model = new ResilientModel(backingModel, { retryDelay: 1 });
+		return backingModel.insertMulti([
+			{ id: 'a', name: 'Toby' },
+			{ id: 'b', name: 'Ruff' }
+		]);
+	});
+
+	it('should be a Model', function() {
+		expect(Model.isModel(model)).to.be.true;
+		expect(model.getName()).to.equal('Animals');
+		expect(model.getKeys()).to.deep.equal([ 'id' ]);
+		expect(model.getType()).to.equal('MemoryModel');
+		expect(model.getWrappedModel()).to.equal(backingModel);
+		expect(model.getCapabilities()).to.deep.equal(backingModel.getCapabilities());
+	});
+
+	it('should retry idempotent operations after transient errors', function() {
+		failures = [ new XError(XError.TIMED_OUT), new XError('db_error') ];
+		return model.count({})
+			.then((count) => {
+				expect(count).to.equal(2);
+				expect(calls.count).to.equal(3);
+			});
+	});
+
+	it('should reject after the maximum number of retries with the cause attached', function() {
+		let lastError = new XError('db_error', 'Connection lost');
+		failures = [ new XError('db_error'), new XError('db_error'), lastError ];
+		return expect(model.find({})).to.be.rejectedWith(XError)
+			.then((err) => {
+				expect(err.code).to.equal('db_error');
+				expect(err.data.attempts).to.equal(3);
+				expect(err.cause).to.equal(lastError);
+				expect(calls.find).to.equal(3);
+			});
+	});
+
+	it('should not retry other errors', function() {
+		failures = [ new XError(XError.INVALID_ARGUMENT) ];
+		return expect(model.find({})).to.be.rejectedWith(XError)
+			.then((err) => {
+				expect(err.code).to.equal(XError.INVALID_ARGUMENT);
+				expect(calls.find).to.equal(1);
+			});
+	});
+
+	it('should convert other errors into XErrors', function() {
+		let cause = new Error('ECONNRESET');
+		model = new ResilientModel(backingModel, { retries: 0 });
+		failures = [ cause ];
+		return expect(model.find({})).to.be.rejectedWith(XError)
+			.then((err) => {
+				expect(err.code).to.equal(XError.INTERNAL_ERROR);
+				expect(err.cause).to.equal(cause);
+			});
+	});
+
+	it('should not retry errors that are not XErrors', function() {
+		model = new ResilientModel(backingModel, { retryDelay: 1, failureThreshold: 1 });
+		failures = [ new TypeError('Cannot read properties of undefined') ];
+		return expect(model.find({})).to.be.rejectedWith(XError)
+			.then((err) => {
+				expect(err.code).to.equal(XError.INTERNAL_ERROR);
+				expect(calls.find).to.equal(1);
+				expect(model.getCircuitState()).to.equal('closed');
+			});
+	});
+
+	it('should not retry inserts', function() {
+		failures = [ new XError('db_error') ];
+		return expect(model.insert({ id: 'c', name: 'Felix' })).to.be.rejectedWith(XError)
+			.then(() => {
+				expect(calls.insert).to.equal(1);
+			});
+	});
+
+	it('should only retry upserts matching keys', function() {
+		failures = [ new XError('db_error') ];
+		return model.upsert({ id: 'c' }, { $set: { name: 'Felix' } })
+			.then(() => {
+				expect(calls.upsert).to.equal(2);
+				failures = [ new XError('db_error') ];
+				return expect(model.upsert({ name: 'Rex' }, { $set: { id: 'd' } })).to.be.rejected;
+			})
+			.then(() => {
+				expect(calls.upsert).to.equal(3);
+			});
+	});
+
+	it('should time out operations', function() {
+		model = new ResilientModel(backingModel, { timeout: { find: 5, default: 1000 }, retries: 0 });
+		backingModel.find = () => pasync.setTimeout(50);
+		return expect(model.find({})).to.be.rejectedWith(XError)
+			.then((err) => {
+				expect(err.code).to.equal(XError.TIMED_OUT);
+				return model.count({});
+			})
+			.then((count) => {
+				expect(count).to.equal(2);
+			});
+	});
+
+	it('should abort operations that time out', function() {
+		model = new ResilientModel(backingModel, { timeout: 5, retries: 0 });
+		let signal;
+		backingModel.find = (query, options) => {
+			signal = options.signal;
+			return pasync.setTimeout(50);
+		};
+		return expect(model.find({})).to.be.rejectedWith(XError)
+			.then((err) => {
+				expect(err.code).to.equal(XError.TIMED_OUT);
+				expect(signal.aborted).to.be.true;
+				expect(signal.reason).to.equal(err);
+			});
+	});
+
+	it('should abort timed operations when the caller\'s signal is aborted', function() {
+		model = new ResilientModel(backingModel, { timeout: 1000, retries: 0 });
+		let controller = new AbortController();
+		let signal;
+		backingModel.find = (query, options) => {
+			signal = options.signal;
+			return pasync.setTimeout(50);
+		};
+		setTimeout(() => controller.abort(), 5);
+		return expect(model.find({}, { signal: controller.signal })).to.be.rejectedWith(XError)
+			.then((err) => {
+				expect(err.code).to.equal(XError.ABORTED);
+				expect(signal).to.not.equal(controller.signal);
+				expect(signal.aborted).to.be.true;
+			});
+	});
+
+	it('should open the circuit after repeated failures', function() {
+		model = new ResilientModel(backingModel, { retries: 0, failureThreshold: 2, resetTimeout: 20 });
+		failures = [ new XError('db_error'), new XError('db_error') ];
+		return expect(model.count({})).to.be.rejected
+			.then(() => expect(model.count({})).to.be.rejected)
+			.then(() => {
+				expect(model.getCircuitState()).to.equal('open');
+				return expect(model.count({})).to.be.rejectedWith(XError);
+			})
+			.then((err) => {
+				expect(err.code).to.equal(XError.CIRCUIT_OPEN);
+				expect(err.data.circuitOpen).to.be.true;
+				expect(calls.count).to.equal(2);
+				expect(() => model.findStream({})).to.throw(XError);
+				return pasync.setTimeout(25);
+			})
+			.then(() => {
+				expect(model.getCircuitState()).to.equal('half-open');
+				return model.count({});
+			})
+			.then((count) => {
+				expect(count).to.equal(2);
+				expect(model.getCircuitState()).to.equal('closed');
+			});
+	});
+
+	it('should not retry operations rejected by an open circuit', function() {
+		let innerModel = new ResilientModel(backingModel, { retries: 0, failureThreshold: 1 });
+		model = new ResilientModel(innerModel, { retryDelay: 1 });
+		failures = [ new XError('db_error') ];
+		return expect(model.count({})).to.be.rejected
+			.then(() => {
+				expect(calls.count).to.equal(1);
+				expect(innerModel.getCircuitState()).to.equal('open');
+				return expect(model.count({})).to.be.rejectedWith(XError);
+			})
+			.then((err) => {
+				expect(err.code).to.equal(XError.CIRCUIT_OPEN);
+				expect(err.data.attempts).to.equal(undefined);
+				expect(calls.count).to.equal(1);
+			});
+	});
+
+	describe('CircuitBreaker', function() {
+		it('should reopen if the trial call fails', function() {
+			let breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 10 });
+			breaker.check();
+			breaker.recordFailure();
+			expect(() => breaker.check()).to.throw(XError);
+			return pasync.setTimeout(15)
+				.then(() => {
+					breaker.check();
+					// Only one trial call is allowed at a time
+					expect(() => breaker.check()).to.throw(XError);
+					breaker.recordFailure();
+					expect(breaker.getState()).to.equal('open');
+				});
+		});
+	});
+});
@@ -3,6 +3,7 @@
 // http://www.apache.org/licenses/LICENSE-2.0
 
 const expect = require('chai').expect;
+const XError = require('xerror');
 const { createSchema } = require('common-schema');
 const SchemaModel = require('../lib/schema-model/schema-model');
 const SchemaDocument = require('../lib/schema-model/schema-document');
@@ -21,4 +22,136 @@ describe('SchemaDocument', function() {
 		console.log(document.data);
 		expect(document.data).to.have.property('foo', 12);
 	});
+
+	it('should not treat normalization in the constructor as a modification', function() {
+		let model = new SchemaModel(createSchema({
+			foo: Number
+		}));
+		let document = new SchemaDocument(model, { foo: '12' });
+		expect(document.isModified()).to.be.false;
+		document.data.foo = 13;
+		expect(document.getChanges()).to.deep.equal({ $set: { foo: 13 } });
+	});
+
+	it('should only snapshot the data once in the constructor', function() {
+		let model = new SchemaModel(createSchema({
+			foo: Number
+		}));
+		let numSnapshots = 0;
+		class CountingDocument extends SchemaDocument {
+			resetChanges() {
+				numSnapshots++;
+				super.resetChanges();
+			}
+		}
+		let document = new CountingDocument(model, { foo: '12' });
+		expect(numSnapshots).to.equal(1);
+		expect(document.isModified()).to.be.false;
+	});
+
+	describe('virtual fields', function() {
+		let model;
+		beforeEach(function() {
+			model = new SchemaModel({
+				first: String,
+				last: String,
+				fullName: {
+					type: String,
+					virtual: true,
+					get: (data) => [ data.first, data.last ].join(' '),
+					set: (value, data) => { [ data.first, data.last ] = value.split(' '); }
+				},
+				initials: {
+					type: String,
+					virtual: true,
+					get() {
+						return this.data.first[0] + this.data.last[0];
+					}
+				}
+			});
+		});
+
+		it('should get and set virtual fields', function() {
+			let document = new SchemaDocument(model, { first: 'Jane', last: 'Doe' });
+			expect(document.getVirtual('fullName')).to.equal('Jane Doe');
+			expect(document.getVirtual('initials')).to.equal('JD');
+			document.setVirtual('fullName', 'John Smith');
+			expect(document.data).to.deep.equal({ first: 'John', last: 'Smith' });
+			expect(() => document.setVirtual('initials', 'AB')).to.throw(XError);
+			expect(() => document.getVirtual('first')).to.throw(XError);
+		});
+
+		it('should include virtual fields in data only when requested', function() {
+			let document = new SchemaDocument(model, { first: 'Jane', last: 'Doe', fullName: 'Other Name' });
+			expect(document.getData()).to.deep.equal({ first: 'Jane', last: 'Doe' });
+			expect(document.getData({ virtuals: true })).to.deep.equal({
+				first: 'Jane',
+				last: 'Doe',
+				fullName: 'Jane Doe',
+				initials: 'JD'
+			});
+			expect(document.data).to.not.have.property('fullName');
+		});
+
+		it('should reject queries on virtual fields', function() {
+			expect(() => model.normalizeQuery({ fullName: 'Jane Doe' })).to.throw(XError, /fullName/);
+			expect(() => model.normalizeQuery({ $or: [ { first: 'Jane' }, { initials: 'JD' } ] })).to.throw(XError);
+			expect(model.normalizeQuery({ first: 'Jane' }).getData()).to.deep.equal({ first: 'Jane' });
+		});
+	});
+
+	describe('serialization', function() {
+		let model;
+		beforeEach(function() {
+			model = new SchemaModel({
+				name: String,
+				passwordHash: { type: String, private: true },
+				created: Date,
+				avatar: { type: 'binary' },
+				profile: {
+					bio: String,
+					internalNotes: { type: String, private: true }
+				},
+				displayName: { type: String, virtual: true, get: (data) => data.name.toUpperCase() }
+			});
+		});
+
+		function createDocument() {
+			return new SchemaDocument(model, {
+				name: 'jane',
+				passwordHash: 'abc123',
+				created: new Date(0),
+				avatar: Buffer.from('hi'),
+				profile: { bio: 'Hello', internalNotes: 'Secret' }
+			});
+		}
+
+		it('should leave out private fields', function() {
+			let obj = createDocument().toObject();
+			expect(obj).to.deep.equal({
+				name: 'jane',
+				created: new Date(0),
+				avatar: Buffer.from('hi'),
+				profile: { bio: 'Hello' }
+			});
+			expect(createDocument().toObject({ includePrivate: true }).passwordHash).to.equal('abc123');
+		});
+
+		it('should apply JSON transforms', function() {
+			let doc = createDocument();
+			expect(doc.toJSON({ exclude: [ 'profile' ], virtuals: true })).to.deep.equal({
+				name: 'jane',
+				created: '1970-01-01T00:00:00.000Z',
+				avatar: 'aGk=',
+				displayName: 'JANE'
+			});
+			expect(JSON.parse(JSON.stringify([ doc ]))[0].avatar).to.equal('aGk=');
+			expect(doc.data.created).to.be.an.instanceof(Date);
+		});
+
+		it('should select fields', function() {
+			let obj = createDocument().toObject({ include: [ 'name', 'profile', 'passwordHash' ] });
+			expect(obj).to.deep.equal({ name: 'jane', profile: { bio: 'Hello' } });
+		});
+	});
 });
@@ -5,7 +5,9 @@
 const expect = require('chai').expect;
 const _ = require('lodash');
 const pasync = require('pasync');
+const zstreams = require('zstreams');
 const { createSchema } = require('common-schema');
+const XError = require('xerror');
 const { QueryValidationError } = require('common-query');
 const { SchemaModel, SchemaDocument } = require('../lib');
 
@@ -86,6 +88,34 @@ describe('SchemaModel', function() {
 		});
 	});
 
+	it('should increment the version field in updates', function() {
+		let testModel = new TestSchemaModel({ foo: Number, ver: Number }, { versionField: 'ver' });
+		expect(testModel.getVersionField()).to.equal('ver');
+		expect(testModel.normalizeUpdate({ foo: '1' }).getData()).to.deep.equal({
+			$set: { foo: 1 },
+			$inc: { ver: 1 }
+		});
+		expect(testModel.normalizeUpdate({ $set: { ver: 5 } }).getData()).to.deep.equal({
+			$set: { ver: 5 }
+		});
+	});
+
+	it('should check document versions', function() {
+		let testModel = new TestSchemaModel({ foo: Number, ver: Number }, { versionField: 'ver' });
+		testModel.checkVersion({ ver: 2 }, 2);
+		testModel.checkVersion({}, 0);
+		expect(() => testModel.checkVersion({ ver: 3 }, 2)).to.throw(XError);
+		expect(() => testModel.checkVersion(undefined, 2)).to.throw(XError);
+	});
+
+	it('should increment document versions', function() {
+		let testModel = new TestSchemaModel({ foo: Number, ver: Number }, { versionField: 'ver' });
+		let testDocument = testModel.create({ foo: 1, ver: 4 });
+		expect(testDocument.getVersion()).to.equal(4);
+		expect(testDocument._incrementVersion()).to.equal(4);
+		expect(testDocument.data.ver).to.equal(5);
+	});
+
 	it('should normalize aggregates', function() {
 		let testModel = new TestSchemaModel(testSchemaData);
 		let aggregate = testModel.normalizeAggregate({
@@ -211,4 +241,78 @@ describe('SchemaModel', function() {
 		testModel._setSchema({ bar: { type: Number, key: true } });
 		expect(testModel.getKeys()).to.deep.equal([ 'bar' ]);
 	});
+
+	describe('soft delete with default implementations', function() {
+		// A model that only implements findStream(), so update() and remove() use the default implementations
+		class StoredDocument extends SchemaDocument {
+			save() {
+				return this.normalize()
+					.then(() => {
+						this.getModel().records[this.data.id] = _.cloneDeep(this.data);
+						return this;
+					});
+			}
+
+			remove(options = {}) {
+				if (this._isSoftRemove(options)) return super.remove(options);
+				delete this.getModel().records[this.data.id];
+				return Promise.resolve(this);
+			}
+		}
+
+		class StoredModel extends SchemaModel {
+			constructor() {
+				super({ id: { type: String, key: true }, deletedAt: Date }, { softDelete: true });
+				this.records = {};
+			}
+
+			create(data = {}) {
+				return new StoredDocument(this, data);
+			}
+
+			findStream(query, options = {}) {
+				query = this.normalizeQuery(query, options);
+				let datas = _.values(this.records).filter((data) => query.matches(data));
+				return zstreams.fromArray(datas.map((data) => new StoredDocument(this, _.cloneDeep(data))));
+			}
+		}
+
+		let model;
+		beforeEach(function() {
+			model = new StoredModel();
+			return pasync.eachSeries([ 'a', 'b', 'c' ], (id) => model.create({ id }).save());
+		});
+
+		function getIds(options) {
+			return model.find({}, options).then((docs) => _.map(docs, 'data.id').sort());
+		}
+
+		it('should soft delete and restore documents', function() {
+			return model.remove({ id: { $in: [ 'a', 'b' ] } })
+				.then(() => {
+					expect(model.records.a.deletedAt).to.be.an.instanceof(Date);
+					return getIds();
+				})
+				.then((ids) => {
+					expect(ids).to.deep.equal([ 'c' ]);
+					return model.restore({ id: 'a' });
+				})
+				.then(() => {
+					expect(model.records.a.deletedAt).to.equal(undefined);
+					return getIds();
+				})
+				.then((ids) => expect(ids).to.deep.equal([ 'a', 'c' ]));
+		});
+
+		it('should purge soft deleted documents', function() {
+			return model.remove({ id: 'a' })
+				.then(() => model.purge({ id: { $in: [ 'a', 'b' ] } }))
+				.then(() => {
+					expect(_.keys(model.records)).to.deep.equal([ 'c' ]);
+					return model.findOne({ id: 'c' });
+				})
+				.then((doc) => doc.remove({ hardDelete: true }))
+				.then(() => expect(model.records).to.deep.equal({}));
+		});
+	});
 });
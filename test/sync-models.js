@@ -0,0 +1,142 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const chai = require('chai');
+const expect = chai.expect;
+const XError = require('xerror');
+const { MemoryModel, syncModels } = require('../lib');
+
+chai.use(require('chai-as-promised'));
+
+describe('syncModels()', function() {
+	const animalSchema = {
+		id: { type: Number, key: true },
+		animalType: String,
+		name: String,
+		age: Number
+	};
+
+	let source, target;
+	beforeEach(function() {
+		source = new MemoryModel('Animals', animalSchema);
+		target = new MemoryModel('AnimalIndex', animalSchema);
+		return Promise.all([
+			source.insertMulti([
+				{ id: 1, animalType: 'cat', name: 'Toby', age: 5 },
+				{ id: 2, animalType: 'dog', name: 'Ruff', age: 3 },
+				{ id: 3, animalType: 'cat', name: 'Felix', age: 9 },
+				{ id: 4, animalType: 'dog', name: 'Rex' }
+			]),
+			target.insertMulti([
+				{ id: 1, animalType: 'cat', name: 'Toby', age: 5 },
+				{ id: 2, animalType: 'dog', name: 'Ruff', age: 2 },
+				{ id: 4, animalType: 'dog', name: 'Rex', age: 7 },
+				{ id: 5, animalType: 'cat', name: 'Tom', age: 1 },
+				{ id: 6, animalType: 'dog', name: 'Spot', age: 4 }
+			])
+		]);
+	});
+
+	function getTargetData() {
+		return target.find({}, { sort: [ 'id' ] })
+			.then((docs) => docs.map((doc) => doc.getData()));
+	}
+
+	it('should insert missing documents and update changed documents', function() {
+		return syncModels(source, target, { batchSize: 3 })
+			.then((report) => {
+				expect(report).to.deep.equal({
+					dryRun: false,
+					inserted: [ { id: 3 } ],
+					updated: [
+						{ keys: { id: 2 }, changes: { $set: { age: 3 } } },
+						{ keys: { id: 4 }, changes: { $unset: { age: true } } }
+					],
+					removed: [],
+					insertedCount: 1,
+					updatedCount: 2,
+					removedCount: 0,
+					unchangedCount: 1,
+					errorCount: 0,
+					errors: []
+				});
+				return getTargetData();
+			})
+			.then((datas) => {
+				expect(datas).to.deep.equal([
+					{ id: 1, animalType: 'cat', name: 'Toby', age: 5 },
+					{ id: 2, animalType: 'dog', name: 'Ruff', age: 3 },
+					{ id: 3, animalType: 'cat', name: 'Felix', age: 9 },
+					{ id: 4, animalType: 'dog', name: 'Rex' },
+					{ id: 5, animalType: 'cat', name: 'Tom', age: 1 },
+					{ id: 6, animalType: 'dog', name: 'Spot', age: 4 }
+				]);
+			});
+	});
+
+	it('should remove orphans matching the query', function() {
+		return syncModels(source, target, { query: { animalType: 'cat' }, removeOrphans: true, batchSize: 1 })
+			.then((report) => {
+				expect(report.inserted).to.deep.equal([ { id: 3 } ]);
+				expect(report.updated).to.deep.equal([]);
+				expect(report.removed).to.deep.equal([ { id: 5 } ]);
+				expect(report.unchangedCount).to.equal(1);
+				return getTargetData();
+			})
+			.then((datas) => {
+				expect(datas.map((data) => data.id)).to.deep.equal([ 1, 2, 3, 4, 6 ]);
+			});
+	});
+
+	it('should report differences without writing in dry-run mode', function() {
+		return syncModels(source, target, { mode: 'dry-run', removeOrphans: true })
+			.then((report) => {
+				expect(report.dryRun).to.equal(true);
+				expect(report.inserted).to.deep.equal([ { id: 3 } ]);
+				expect(report.updated.map((entry) => entry.keys)).to.deep.equal([ { id: 2 }, { id: 4 } ]);
+				expect(report.removed).to.deep.equal([ { id: 5 }, { id: 6 } ]);
+				return getTargetData();
+			})
+			.then((datas) => {
+				expect(datas.map((data) => data.id)).to.deep.equal([ 1, 2, 4, 5, 6 ]);
+				expect(datas[1].age).to.equal(2);
+			});
+	});
+
+	it('should match documents on the given key fields', function() {
+		return syncModels(source, target, { keyFields: [ 'animalType', 'name' ], query: { id: { $lt: 3 } } })
+			.then((report) => {
+				expect(report.inserted).to.deep.equal([]);
+				expect(report.updated).to.deep.equal([
+					{ keys: { animalType: 'dog', name: 'Ruff' }, changes: { $set: { age: 3 } } }
+				]);
+				expect(report.unchangedCount).to.equal(1);
+			});
+	});
+
+	it('should report failed writes', function() {
+		let strictTarget = new MemoryModel('StrictAnimals', {
+			id: { type: Number, key: true },
+			animalType: String,
+			name: String,
+			age: { type: Number, required: true }
+		});
+		return syncModels(source, strictTarget, { batchSize: 1 })
+			.then((report) => {
+				expect(report.insertedCount).to.equal(3);
+				expect(report.errorCount).to.equal(1);
+				expect(report.errors[0].keys).to.deep.equal({ id: 4 });
+				expect(report.errors[0].operation).to.equal('insert');
+				expect(XError.isXError(report.errors[0].error)).to.equal(true);
+			});
+	});
+
+	it('should reject invalid options', function() {
+		return Promise.all([
+			expect(syncModels(source, target, { mode: 'merge' })).to.be.rejectedWith(XError),
+			expect(syncModels(source, target, { keyFields: [] })).to.be.rejectedWith(XError)
+		]);
+	});
+
+});
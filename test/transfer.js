@@ -0,0 +1,261 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const chai = require('chai');
+const expect = chai.expect;
+const XError = require('xerror');
+const zstreams = require('zstreams');
+const { Model, MemoryModel, exportStream, importStream } = require('../lib');
+const { CSVParser } = require('../lib/transfer/csv');
+
+chai.use(require('chai-as-promised'));
+
+describe('Export and import', function() {
+	const animalSchema = {
+		id: { type: Number, key: true },
+		name: { type: String, required: true },
+		found: Date,
+		owner: {
+			name: String,
+			secret: { type: String, private: true }
+		},
+		tags: [ String ]
+	};
+
+	const animals = [
+		{
+			id: 1,
+			name: 'Toby',
+			found: new Date('2015-01-03T00:00:00Z'),
+			owner: { name: 'Ann', secret: 'x' },
+			tags: [ 'small', 'grey' ]
+		},
+		{ id: 2, name: 'Ruff, the "Dog"' }
+	];
+
+	let model;
+	beforeEach(function() {
+		model = new MemoryModel('Animals', animalSchema);
+		return model.insertMulti(animals);
+	});
+
+	function exportText(query, options) {
+		return exportStream(model, query, options).intoString();
+	}
+
+	function importText(targetModel, chunks, options) {
+		return importStream(targetModel, zstreams.fromArray(chunks.map((chunk) => Buffer.from(chunk))), options);
+	}
+
+	describe('exportStream()', function() {
+
+		it('should export NDJSON', function() {
+			return exportText({}, { sort: [ 'id' ] })
+				.then((text) => {
+					let lines = text.split('\n');
+					expect(lines).to.have.length(3);
+					expect(lines[2]).to.equal('');
+					expect(JSON.parse(lines[0])).to.deep.equal({
+						id: 1,
+						name: 'Toby',
+						found: '2015-01-03T00:00:00.000Z',
+						owner: { name: 'Ann' },
+						tags: [ 'small', 'grey' ]
+					});
+					expect(JSON.parse(lines[1])).to.deep.equal({ id: 2, name: 'Ruff, the "Dog"' });
+				});
+		});
+
+		it('should export CSV with schema columns', function() {
+			return exportText({}, { format: 'csv', sort: [ 'id' ] })
+				.then((text) => {
+					expect(text).to.equal(
+						'id,name,found,owner.name,tags\r\n' +
+						'1,Toby,2015-01-03T00:00:00.000Z,Ann,"[""small"",""grey""]"\r\n' +
+						'2,"Ruff, the ""Dog""",,,\r\n'
+					);
+				});
+		});
+
+		it('should only export the given fields', function() {
+			return Promise.all([
+				exportText({ id: 1 }, { fields: [ 'name', 'id' ] }),
+				exportText({ id: 1 }, { format: 'csv', fields: [ 'name', 'id' ] })
+			])
+				.then(([ ndjson, csv ]) => {
+					expect(JSON.parse(ndjson)).to.deep.equal({ id: 1, name: 'Toby' });
+					expect(csv).to.equal('name,id\r\nToby,1\r\n');
+				});
+		});
+
+		it('should write a CSV header when there are no documents', function() {
+			return exportText({ id: 3 }, { format: 'csv', fields: [ 'id' ] })
+				.then((text) => expect(text).to.equal('id\r\n'));
+		});
+
+		it('should reject unknown formats', function() {
+			expect(() => exportStream(model, {}, { format: 'xml' })).to.throw(XError);
+		});
+
+	});
+
+	describe('importStream()', function() {
+
+		let target;
+		beforeEach(function() {
+			target = new MemoryModel('ImportedAnimals', animalSchema);
+		});
+
+		it('should round trip NDJSON', function() {
+			return exportText({}, { sort: [ 'id' ] })
+				.then((text) => importText(target, [ text.slice(0, 20), text.slice(20) ]))
+				.then((report) => {
+					expect(report).to.deep.equal({
+						rowCount: 2,
+						insertedCount: 2,
+						upsertedCount: 0,
+						errorCount: 0,
+						errors: []
+					});
+					return target.find({}, { sort: [ 'id' ] });
+				})
+				.then((docs) => {
+					expect(docs[0].data).to.deep.equal({
+						id: 1,
+						name: 'Toby',
+						found: new Date('2015-01-03T00:00:00Z'),
+						owner: { name: 'Ann' },
+						tags: [ 'small', 'grey' ]
+					});
+					expect(docs[1].data).to.deep.equal({ id: 2, name: 'Ruff, the "Dog"' });
+				});
+		});
+
+		it('should round trip CSV', function() {
+			return exportText({}, { format: 'csv', sort: [ 'id' ] })
+				.then((text) => importText(target, text.split(''), { format: 'csv', batchSize: 1 }))
+				.then((report) => {
+					expect(report.insertedCount).to.equal(2);
+					return target.find({}, { sort: [ 'id' ] });
+				})
+				.then((docs) => {
+					expect(docs[0].data).to.deep.equal({
+						id: 1,
+						name: 'Toby',
+						found: new Date('2015-01-03T00:00:00Z'),
+						owner: { name: 'Ann' },
+						tags: [ 'small', 'grey' ]
+					});
+					expect(docs[1].data).to.deep.equal({ id: 2, name: 'Ruff, the "Dog"' });
+				});
+		});
+
+		it('should report row errors and import the other rows', function() {
+			let text = [
+				'id,name',
+				'10,Felix',
+				'abc,Tom',
+				'11',
+				'12,Rex,extra',
+				'13,"Line\nbreak"',
+				'10,Felix again'
+			].join('\n');
+			return importText(target, [ text ], { format: 'csv' })
+				.then((report) => {
+					expect(report.rowCount).to.equal(6);
+					expect(report.insertedCount).to.equal(2);
+					expect(report.errorCount).to.equal(4);
+					expect(report.errors.map((error) => error.row)).to.deep.equal([ 2, 3, 4, 6 ]);
+					expect(report.errors[0].data).to.deep.equal({ id: 'abc', name: 'Tom' });
+					expect(report.errors[3].error.code).to.equal(XError.ALREADY_EXISTS);
+					for (let error of report.errors) {
+						expect(XError.isXError(error.error)).to.equal(true);
+					}
+					return target.find({}, { sort: [ 'id' ] });
+				})
+				.then((docs) => {
+					expect(docs.map((doc) => doc.data)).to.deep.equal([
+						{ id: 10, name: 'Felix' },
+						{ id: 13, name: 'Line\nbreak' }
+					]);
+				});
+		});
+
+		it('should insert rows separately for models without a native insertMulti()', function() {
+			// Stores documents one at a time, like most models with only insert()
+			class ListModel extends Model {
+				constructor() {
+					super();
+					this.datas = [];
+				}
+				getKeys() {
+					return [ 'id' ];
+				}
+				insert(data) {
+					if (this.datas.some((stored) => stored.id === data.id)) {
+						return Promise.reject(new XError(XError.ALREADY_EXISTS, 'Duplicate id'));
+					}
+					this.datas.push(data);
+					return Promise.resolve();
+				}
+			}
+			let listModel = new ListModel();
+			let text = '{"id":1,"name":"Toby"}\n{"id":1,"name":"Tom"}\n{"id":2,"name":"Rex"}\n';
+			return importText(listModel, [ text ])
+				.then((report) => {
+					expect(report.insertedCount).to.equal(2);
+					expect(report.errors.map((error) => error.row)).to.deep.equal([ 2 ]);
+					expect(listModel.datas).to.deep.equal([ { id: 1, name: 'Toby' }, { id: 2, name: 'Rex' } ]);
+				});
+		});
+
+		it('should report invalid NDJSON lines', function() {
+			let text = '{"id":20,"name":"Rex"}\nnot json\n\n[1]\n{"id":21,"name":"Tom"}';
+			return importText(target, [ text ])
+				.then((report) => {
+					expect(report.rowCount).to.equal(4);
+					expect(report.insertedCount).to.equal(2);
+					expect(report.errors.map((error) => error.row)).to.deep.equal([ 2, 3 ]);
+					expect(report.errors[0].data).to.equal('not json');
+				});
+		});
+
+		it('should upsert on keys', function() {
+			let text = '{"id":1,"name":"Tobias"}\n{"id":3,"name":"Felix"}\n{"name":"Keyless"}\n';
+			return importText(model, [ text ], { upsertOnKeys: true })
+				.then((report) => {
+					expect(report.upsertedCount).to.equal(2);
+					expect(report.insertedCount).to.equal(0);
+					expect(report.errorCount).to.equal(1);
+					expect(report.errors[0].row).to.equal(3);
+					return model.find({}, { sort: [ 'id' ] });
+				})
+				.then((docs) => {
+					expect(docs.map((doc) => doc.data.name)).to.deep.equal([ 'Tobias', 'Ruff, the "Dog"', 'Felix' ]);
+				});
+		});
+
+		it('should reject unknown formats', function() {
+			return expect(importText(target, [ '' ], { format: 'xml' }))
+				.to.be.rejectedWith(XError);
+		});
+
+	});
+
+	describe('CSVParser', function() {
+
+		it('should parse quoted fields split across chunks', function() {
+			let parser = new CSVParser();
+			let rows = [].concat(
+				parser.write('a,"b""'),
+				parser.write('c",d\r\n"e'),
+				parser.write('\r\nf",'),
+				parser.end()
+			);
+			expect(rows).to.deep.equal([ [ 'a', 'b"c', 'd' ], [ 'e\r\nf', '' ] ]);
+		});
+
+	});
+
+});
@@ -0,0 +1,251 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const chai = require('chai');
+const expect = chai.expect;
+const XError = require('xerror');
+const zstreams = require('zstreams');
+const { Model, UnionModel, MemoryModel } = require('../lib');
+
+chai.use(require('chai-as-promised'));
+
+describe('UnionModel', function() {
+	const animalSchema = {
+		id: { type: Number, key: true },
+		animalType: String,
+		name: String,
+		age: Number
+	};
+
+	let liveModel, archiveModel, model;
+	beforeEach(function() {
+		liveModel = new MemoryModel('LiveAnimals', animalSchema);
+		archiveModel = new MemoryModel('ArchivedAnimals', animalSchema);
+		// Animals with ids below 100 are archived
+		model = new UnionModel('Animals', [ liveModel, archiveModel ], {
+			route: (keys) => (keys.id < 100 ? archiveModel : 0)
+		});
+		return Promise.all([
+			liveModel.insertMulti([
+				{ id: 101, animalType: 'cat', name: 'Toby', age: 5 },
+				{ id: 102, animalType: 'dog', name: 'Ruff', age: 2 },
+				{ id: 103, animalType: 'cat', name: 'Felix', age: 12 }
+			]),
+			archiveModel.insertMulti([
+				{ id: 1, animalType: 'cat', name: 'Tom', age: 9 },
+				{ id: 2, animalType: 'dog', name: 'Rex', age: 4 }
+			])
+		]);
+	});
+
+	function getIds(docs) {
+		return docs.map((doc) => doc.getData().id);
+	}
+
+	it('should be a Model', function() {
+		expect(Model.isModel(model)).to.be.true;
+		expect(model.getName()).to.equal('Animals');
+		expect(model.getKeys()).to.deep.equal([ 'id' ]);
+		expect(model.getType()).to.equal('UnionModel');
+		expect(model.getModels()).to.deep.equal([ liveModel, archiveModel ]);
+	});
+
+	it('should require models', function() {
+		expect(() => new UnionModel('Animals', [])).to.throw(XError);
+		expect(() => new UnionModel('Animals', [ {} ])).to.throw(XError);
+	});
+
+	it('should find documents from all models', function() {
+		return model.find({ animalType: 'cat' })
+			.then((results) => {
+				expect(getIds(results)).to.deep.equal([ 101, 103, 1 ]);
+			});
+	});
+
+	it('should merge sorted results and apply skip, limit and total', function() {
+		return model.find({}, { sort: [ '-age' ], skip: 1, limit: 3, total: true })
+			.then((results) => {
+				expect(getIds(results)).to.deep.equal([ 1, 101, 2 ]);
+				expect(results.total).to.equal(5);
+			});
+	});
+
+	it('should merge sorted streams', function() {
+		let stream = model.findStream({}, { sort: [ 'animalType', 'id' ], total: true });
+		return stream.intoArray()
+			.then((results) => {
+				expect(getIds(results)).to.deep.equal([ 1, 101, 103, 2, 102 ]);
+				return stream.getTotal();
+			})
+			.then((total) => {
+				expect(total).to.equal(5);
+			});
+	});
+
+	it('should not return sort fields that were not selected', function() {
+		return model.find({}, { sort: [ 'age' ], fields: [ 'id' ] })
+			.then((results) => {
+				expect(results.map((doc) => doc.getData())).to.deep.equal([
+					{ id: 102 },
+					{ id: 2 },
+					{ id: 101 },
+					{ id: 1 },
+					{ id: 103 }
+				]);
+			});
+	});
+
+	describe('source streams', function() {
+		let sourceStreams;
+		beforeEach(function() {
+			// Keep the streams returned by each source model
+			sourceStreams = [];
+			[ liveModel, archiveModel ].forEach((sourceModel) => {
+				let findStream = sourceModel.findStream;
+				sourceModel.findStream = function(...args) {
+					let stream = findStream.apply(this, args);
+					sourceStreams.push(stream);
+					return stream;
+				};
+			});
+		});
+
+		it('should destroy source streams once the limit is reached', function() {
+			return model.find({}, { sort: [ 'id' ], limit: 2 })
+				.then((results) => {
+					expect(getIds(results)).to.deep.equal([ 1, 2 ]);
+					// The live model's stream still has documents that were not read
+					expect(sourceStreams).to.have.length(2);
+					expect(sourceStreams[0].destroyed).to.be.true;
+				});
+		});
+
+		it('should destroy the other source streams when a source errors', function() {
+			archiveModel.findStream = function() {
+				let stream = new zstreams.PassThrough({ objectMode: true });
+				setImmediate(() => stream.destroy(new XError(XError.INTERNAL_ERROR, 'Connection lost')));
+				return stream;
+			};
+			return expect(model.find({}, { sort: [ 'id' ] })).to.be.rejectedWith(XError)
+				.then((err) => {
+					expect(err.message).to.equal('Connection lost');
+					expect(sourceStreams).to.have.length(1);
+					expect(sourceStreams[0].destroyed).to.be.true;
+				});
+		});
+	});
+
+	it('should report the capabilities shared by all models', function() {
+		let limitedModel = new MemoryModel('LimitedAnimals', animalSchema);
+		limitedModel.getCapabilities = function() {
+			let capabilities = MemoryModel.prototype.getCapabilities.call(this);
+			capabilities.operations.aggregateMulti = 'unsupported';
+			capabilities.queryOperators = _.without(capabilities.queryOperators, '$regex');
+			capabilities.findOptions.total = false;
+			return capabilities;
+		};
+		let capabilities = new UnionModel('Animals', [ liveModel, limitedModel ]).getCapabilities();
+		expect(capabilities.operations.aggregateMulti).to.equal('unsupported');
+		expect(capabilities.operations.count).to.equal('native');
+		expect(capabilities.queryOperators).to.include('$in');
+		expect(capabilities.queryOperators).to.not.include('$regex');
+		expect(capabilities.findOptions).to.include({ total: false, sort: true, limit: true });
+		expect(capabilities.transactions).to.deep.equal({
+			atomicDocumentWrites: true,
+			atomicMultiDocumentWrites: false
+		});
+	});
+
+	it('should count documents in all models', function() {
+		return expect(model.count({ animalType: 'dog' })).to.eventually.equal(2);
+	});
+
+	it('should combine aggregates', function() {
+		return model.aggregateMulti({}, {
+			ages: {
+				stats: { age: { count: true, min: true, max: true, sum: true, avg: true, stddev: true } },
+				total: true
+			},
+			byType: {
+				groupBy: 'animalType',
+				stats: { age: { avg: true } },
+				total: true
+			}
+		}, { sort: [ '-total' ], limit: 1 })
+			.then((results) => {
+				// Ages are 5, 2, 12, 9 and 4
+				expect(results.ages.total).to.equal(5);
+				expect(results.ages.stats.age).to.include({ count: 5, min: 2, max: 12, sum: 32 });
+				expect(results.ages.stats.age.avg).to.be.closeTo(6.4, 0.000001);
+				expect(results.ages.stats.age.stddev).to.be.closeTo(Math.sqrt(13.04), 0.000001);
+				expect(results.byType).to.have.length(1);
+				expect(results.byType[0].key).to.deep.equal([ 'cat' ]);
+				expect(results.byType[0].total).to.equal(3);
+				expect(results.byType[0].stats.age).to.deep.equal({ avg: 26 / 3 });
+			});
+	});
+
+	it('should route inserts', function() {
+		return model.insertMulti([
+			{ id: 3, name: 'Old' },
+			{ id: 104, name: 'New' },
+			{ id: 4, name: 'Older' }
+		])
+			.then((results) => {
+				expect(results).to.have.length(3);
+				return Promise.all([ liveModel.count({}), archiveModel.count({}) ]);
+			})
+			.then((counts) => {
+				expect(counts).to.deep.equal([ 4, 4 ]);
+				return model.insert({ id: 5, name: 'Oldest' });
+			})
+			.then(() => expect(archiveModel.count({})).to.eventually.equal(5));
+	});
+
+	it('should reject when the route is invalid', function() {
+		let badModel = new UnionModel('Animals', [ liveModel ], { route: () => archiveModel });
+		return expect(badModel.insert({ id: 5 })).to.be.rejectedWith(XError);
+	});
+
+	it('should route updates by key and apply other updates to all models', function() {
+		return model.update({ id: 2 }, { $set: { name: 'Rexy' } })
+			.then((numUpdated) => {
+				expect(numUpdated).to.equal(1);
+				return model.update({ animalType: 'cat' }, { $inc: { age: 1 } });
+			})
+			.then((numUpdated) => {
+				expect(numUpdated).to.equal(3);
+				return model.find({}, { sort: [ 'id' ] });
+			})
+			.then((results) => {
+				expect(results.map((doc) => doc.getData().age)).to.deep.equal([ 10, 4, 6, 2, 13 ]);
+				expect(results[1].getData().name).to.equal('Rexy');
+			});
+	});
+
+	it('should route upserts', function() {
+		return model.upsert({ id: 6 }, { $set: { name: 'Spot' } })
+			.then(() => model.upsert({ id: 102 }, { $set: { age: 3 } }))
+			.then(() => archiveModel.findOne({ id: 6 }))
+			.then((doc) => {
+				expect(doc.getData().name).to.equal('Spot');
+				return liveModel.findOne({ id: 102 });
+			})
+			.then((doc) => {
+				expect(doc.getData().age).to.equal(3);
+			});
+	});
+
+	it('should remove documents from all models', function() {
+		return model.remove({ animalType: 'dog' })
+			.then((numRemoved) => {
+				expect(numRemoved).to.equal(2);
+				return model.find({}, { sort: [ 'id' ] });
+			})
+			.then((results) => {
+				expect(getIds(results)).to.deep.equal([ 1, 101, 103 ]);
+			});
+	});
+});